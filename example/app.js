@@ -1,7 +1,5 @@
 var http       = require('http'),
     port       = process.env.PORT || 3000,
-    request    = require('request'),
-    qs         = require('querystring'),
     util       = require('util'),
     express    = require('express'),
     app        = express(),
@@ -32,45 +30,26 @@ app.get('/start', function(req, res) {
 })
 
 app.get('/requestToken', function(req, res) {
-  var postBody = {
-    url: QuickBooks.REQUEST_TOKEN_URL,
-    oauth: {
-      callback:        'http://localhost:' + port + '/callback/',
-      consumer_key:    consumerKey,
-      consumer_secret: consumerSecret
-    }
-  }
-  request.post(postBody, function (e, r, data) {
-    var requestToken = qs.parse(data)
-    req.session.oauth_token_secret = requestToken.oauth_token_secret
-    console.log(requestToken)
-    res.redirect(QuickBooks.APP_CENTER_URL + requestToken.oauth_token)
+  var consumer = {consumerKey: consumerKey, consumerSecret: consumerSecret}
+  QuickBooks.getRequestToken(consumer, 'http://localhost:' + port + '/callback/', function(err, requestToken) {
+    if (err) return res.send(500, err.message)
+    req.session.requestToken = requestToken
+    res.redirect(requestToken.authorizeUrl)
   })
 })
 
 app.get('/callback', function(req, res) {
-  var postBody = {
-    url: QuickBooks.ACCESS_TOKEN_URL,
-    oauth: {
-      consumer_key:    consumerKey,
-      consumer_secret: consumerSecret,
-      token:           req.query.oauth_token,
-      token_secret:    req.session.oauth_token_secret,
-      verifier:        req.query.oauth_verifier,
-      realmId:         req.query.realmId
-    }
-  }
-  request.post(postBody, function (e, r, data) {
-    var accessToken = qs.parse(data)
+  var consumer = {consumerKey: consumerKey, consumerSecret: consumerSecret}
+  QuickBooks.getAccessToken(consumer, req.session.requestToken, req.query, function(err, accessToken) {
+    if (err) return console.log(err)
     console.log(accessToken)
-    console.log(postBody.oauth.realmId)
 
     // save the access token somewhere on behalf of the logged in user
     qbo = new QuickBooks(consumerKey,
                          consumerSecret,
-                         accessToken.oauth_token,
-                         accessToken.oauth_token_secret,
-                         postBody.oauth.realmId,
+                         accessToken.token,
+                         accessToken.tokenSecret,
+                         accessToken.realmId,
                          true, // use the Sandbox
                          true); // turn debugging on
 
@@ -83,4 +62,3 @@ app.get('/callback', function(req, res) {
   })
   res.send('<!DOCTYPE html><html lang="en"><head></head><body><script>window.opener.location.reload(); window.close();</script></body></html>')
 })
-
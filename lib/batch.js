@@ -0,0 +1,192 @@
+/**
+ * @file Splits any number of batch items into 25 item requests and correlates the responses
+ * @name node-quickbooks/batch
+ * @license ISC
+ */
+
+var _      = require('underscore'),
+    errors = require('./errors')
+
+var MAX_ITEMS = 25
+
+/**
+ * Sends the items in chunks of at most 25, with at most `concurrency` chunks in flight, and calls back with
+ * one result per item in input order. Items without a bId are assigned their index in the input array.
+ *
+ * Each result has the shape {bId, item, status, response, entity, error}, where status is 'success' or
+ * 'fault', response is the BatchItemResponse, entity the unwrapped Attachable, QueryResponse etc. of a
+ * successful item, and error a QuickBooksError for a faulted item or for a chunk whose request failed.
+ *
+ * @param {QuickBooks} qbo - client used to send each chunk
+ * @param {Array} items - batch items, e.g. {operation: 'create', Invoice: {...}}
+ * @param {object} options - (Optional) concurrency (default 2) and chunkSize (default and maximum 25)
+ * @param {function} callback - Callback function which is called with any error and the list of results
+ */
+function run(qbo, items, options, callback) {
+  options = _.defaults({}, options, {concurrency: 2, chunkSize: MAX_ITEMS})
+  var chunkSize = Math.min(options.chunkSize, MAX_ITEMS),
+      results   = new Array(items.length),
+      chunks    = [],
+      next      = 0,
+      running   = 0,
+      finished  = false
+
+  var requests = _.map(items, function(item, i) {
+    return _.has(item, 'bId') ? item : _.extend({bId: String(i)}, item)
+  })
+  for (var i = 0; i < requests.length; i += chunkSize) {
+    chunks.push(_.range(i, Math.min(i + chunkSize, requests.length)))
+  }
+
+  var settle = function(chunk, err, data) {
+    var responses = (data && data.BatchItemResponse) || [],
+        byId      = _.indexBy(responses, 'bId')
+    _.each(chunk, function(index, position) {
+      var request  = requests[index],
+          response = byId[request.bId] || (! err && responses[position])
+      results[index] = result(request, response, err)
+    })
+  }
+
+  var launch = function() {
+    if (finished) return
+    if (next >= chunks.length && running === 0) {
+      finished = true
+      return callback(null, results)
+    }
+    while (running < options.concurrency && next < chunks.length) {
+      (function(chunk) {
+        running++
+        qbo.batch(_.map(chunk, function(index) { return requests[index] }), function(err, data) {
+          running--
+          settle(chunk, err, data)
+          launch()
+        })
+      })(chunks[next++])
+    }
+  }
+  launch()
+}
+
+/**
+ * Builds the result of one batch item from its BatchItemResponse, or from the error of the whole request.
+ */
+function result(request, response, err) {
+  var r = {bId: request.bId, item: request, response: response}
+  if (response && response.Fault) {
+    r.status = 'fault'
+    r.error  = errors.fromResponse({statusCode: 200}, {Fault: response.Fault})
+  } else if (response) {
+    r.status = 'success'
+    var key  = _.find(_.keys(response), function(k) { return k !== 'bId' && k !== 'time' })
+    r.entity = key ? response[key] : undefined
+  } else {
+    r.status = 'fault'
+    r.error  = err || new errors.ServiceFault('No BatchItemResponse for bId ' + request.bId)
+  }
+  return r
+}
+
+/**
+ * Collects typed batch operations, validating each one as it is added.
+ *
+ * @param {QuickBooks} qbo - client used to send the batch
+ * @param {function} validate - function(operation, entityName, entity) throwing for an invalid create, update or delete
+ * @constructor
+ */
+function Builder(qbo, validate) {
+  this.qbo      = qbo
+  this.validate = validate
+  this.items    = []
+}
+
+Builder.prototype.add = function(operation, entityName, entity, bId) {
+  var item = {bId: bId || String(this.items.length)}
+  if (operation === 'query') {
+    if (! (_.isString(entity) || (entity && _.isFunction(entity.toJSON)))) {
+      throw new Error('query must be a statement or a Query: ' + entity)
+    }
+    item.Query = entity
+  } else {
+    this.validate(operation, entityName, entity)
+    item.operation = operation
+    item[entityName.substring(0, 1).toUpperCase() + entityName.substring(1)] = entity
+  }
+  if (_.findWhere(this.items, {bId: item.bId})) {
+    throw new Error('Duplicate batch item bId: ' + item.bId)
+  }
+  this.items.push(item)
+  return this
+}
+
+/**
+ * Adds the creation of an entity.
+ *
+ * @param {string} entityName - e.g. 'Invoice'
+ * @param {object} entity - The unsaved entity
+ * @param {string} bId - (Optional) key of the result, defaults to the position of the operation
+ */
+Builder.prototype.create = function(entityName, entity, bId) {
+  return this.add('create', entityName, entity, bId)
+}
+
+/**
+ * Adds the update of an entity, which must include Id and SyncToken fields.
+ */
+Builder.prototype.update = function(entityName, entity, bId) {
+  return this.add('update', entityName, entity, bId)
+}
+
+/**
+ * Adds the deletion of an entity, which must include Id and SyncToken fields.
+ */
+Builder.prototype.delete = function(entityName, entity, bId) {
+  return this.add('delete', entityName, entity, bId)
+}
+
+/**
+ * Adds a query, given as a statement or a Query built with qbo.query().
+ */
+Builder.prototype.query = function(statement, bId) {
+  return this.add('query', null, statement, bId)
+}
+
+/**
+ * Sends the operations, in requests of at most 25 items, and calls back with the results grouped by
+ * operation: {all, byId, create, update, delete, query, failed}. Each result is as described for run.
+ *
+ * @param {object} options - (Optional) as for run
+ * @param {function} callback - (Optional) Callback function which is called with any error and the grouped results. A Promise is returned when omitted
+ */
+Builder.prototype.exec = function(options, callback) {
+  var self = this
+  if (_.isFunction(options)) {
+    callback = options
+    options = null
+  }
+  if (! callback) {
+    return new Promise(function(resolve, reject) {
+      self.exec(options, function(err, results) {
+        if (err) reject(err)
+        else resolve(results)
+      })
+    })
+  }
+  run(this.qbo, this.items, options, function(err, results) {
+    if (err) return callback(err)
+    var grouped = {all: results, byId: {}, create: [], update: [], delete: [], query: [], failed: []}
+    _.each(results, function(r) {
+      grouped.byId[r.bId] = r
+      grouped[r.item.operation || 'query'].push(r)
+      if (r.status !== 'success') grouped.failed.push(r)
+    })
+    callback(null, grouped)
+  })
+}
+
+module.exports = {
+  MAX_ITEMS: MAX_ITEMS,
+  run:       run,
+  result:    result,
+  Builder:   Builder
+}
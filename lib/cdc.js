@@ -0,0 +1,173 @@
+/**
+ * @file Change Data Capture poller keeping its cursor in a pluggable store
+ * @name node-quickbooks/cdc
+ * @license ISC
+ */
+
+var EventEmitter = require('events').EventEmitter,
+    util         = require('util'),
+    moment       = require('moment'),
+    _            = require('underscore'),
+    MemoryStore  = require('./store').MemoryStore
+
+/**
+ * Polls the change data capture endpoint and emits one event per changed entity:
+ *
+ *   'created', 'updated', 'deleted' - (entity, entityName)
+ *   'change'                        - ({operation, entityName, entity})
+ *   'resync'                        - (entityName, entities) with every entity of the type, when there was no
+ *                                     cursor yet or it fell outside of the CDC lookback window
+ *   'sync'                          - ({since, until, changes, resync}) after each completed poll
+ *   'error'                         - (err) for a failed poll started by start()
+ *
+ * The cursor is only advanced after the events of a poll have been emitted, so a change may be
+ * delivered more than once but is never skipped.
+ *
+ * @param {QuickBooks} qbo - client of the company to poll
+ * @param {object} options - entities (array or comma separated list, required), store (default MemoryStore),
+ *                           key (default 'cdc:' + realmId), interval in milliseconds (default 5 minutes)
+ * @constructor
+ */
+function CdcSync(qbo, options) {
+  EventEmitter.call(this)
+  options = options || {}
+  if (! options.entities || ! options.entities.length) {
+    throw new Error('CdcSync requires a list of entities')
+  }
+  this.qbo      = qbo
+  this.entities = _.isString(options.entities) ? options.entities.split(/\s*,\s*/) : options.entities
+  this.store    = options.store || new MemoryStore()
+  this.key      = options.key || 'cdc:' + qbo.realmId
+  this.interval = options.interval || CdcSync.DEFAULT_INTERVAL
+  this.timer    = null
+  this.running  = false
+  this.polling  = false
+}
+util.inherits(CdcSync, EventEmitter)
+
+CdcSync.DEFAULT_INTERVAL = 5 * 60 * 1000
+CdcSync.LOOKBACK_DAYS    = 30
+
+/**
+ * Flattens a CDCResponse into a list of {operation, entityName, entity} changes.
+ *
+ * @param {object} data - response of changeDataCapture
+ * @param {string} since - cursor the changes were requested from, used to tell creates from updates
+ * @returns {Array}
+ */
+CdcSync.flatten = function(data, since) {
+  var changes = []
+  _.each((data && data.CDCResponse) || [], function(response) {
+    _.each(response.QueryResponse || [], function(queryResponse) {
+      _.each(queryResponse, function(entities, entityName) {
+        if (! _.isArray(entities)) return
+        _.each(entities, function(entity) {
+          var operation = 'updated'
+          if (entity.status === 'Deleted') {
+            operation = 'deleted'
+          } else if (since && entity.MetaData && entity.MetaData.CreateTime &&
+                     ! moment(entity.MetaData.CreateTime).isBefore(since)) {
+            operation = 'created'
+          }
+          changes.push({operation: operation, entityName: entityName, entity: entity})
+        })
+      })
+    })
+  })
+  return changes
+}
+
+/**
+ * Runs a single poll: a change data capture request from the stored cursor, or a full resync.
+ *
+ * @param {function} callback - (Optional) Callback function which is called with any error and the sync summary
+ */
+CdcSync.prototype.poll = function(callback) {
+  var self = this
+  callback = callback || function(err) {
+    if (err) self.emit('error', err)
+  }
+  if (this.polling) return callback(new Error('A poll is already in progress'))
+  this.polling = true
+  var done = function(err, summary) {
+    self.polling = false
+    callback(err, summary)
+  }
+  this.store.get(this.key, function(err, cursor) {
+    if (err) return done(err)
+    var started = moment()
+    if (! cursor || moment(cursor).isBefore(moment().subtract(CdcSync.LOOKBACK_DAYS, 'days').add(1, 'hours'))) {
+      self.resync(cursor, started, done)
+    } else {
+      self.capture(cursor, started, done)
+    }
+  })
+}
+
+CdcSync.prototype.capture = function(cursor, started, callback) {
+  var self = this
+  this.qbo.changeDataCapture(this.entities, cursor, function(err, data) {
+    if (err) return callback(err)
+    var changes = CdcSync.flatten(data, cursor)
+    _.each(changes, function(change) {
+      self.emit(change.operation, change.entity, change.entityName)
+      self.emit('change', change)
+    })
+    self.advance({since: cursor, until: data.time || started.format(), changes: changes.length, resync: false}, callback)
+  })
+}
+
+CdcSync.prototype.resync = function(cursor, started, callback) {
+  var self = this, count = 0, remaining = this.entities.slice()
+  var next = function() {
+    var entityName = remaining.shift()
+    if (! entityName) {
+      return self.advance({since: cursor, until: started.format(), changes: count, resync: true}, callback)
+    }
+    self.qbo.findAll(entityName, function(err, entities) {
+      if (err) return callback(err)
+      count += entities.length
+      self.emit('resync', entityName, entities)
+      next()
+    })
+  }
+  next()
+}
+
+CdcSync.prototype.advance = function(summary, callback) {
+  var self = this
+  this.store.set(this.key, summary.until, function(err) {
+    if (err) return callback(err)
+    self.emit('sync', summary)
+    callback(null, summary)
+  })
+}
+
+/**
+ * Polls now and then every interval milliseconds after the previous poll completes, until stopped.
+ */
+CdcSync.prototype.start = function() {
+  var self = this
+  if (this.running) return this
+  this.running = true
+  var loop = function() {
+    self.poll(function(err) {
+      if (err) self.emit('error', err)
+      if (self.running) self.timer = setTimeout(loop, self.interval)
+    })
+  }
+  loop()
+  return this
+}
+
+/**
+ * Stops polling. A poll in progress completes and still advances the cursor.
+ */
+CdcSync.prototype.stop = function() {
+  this.running = false
+  clearTimeout(this.timer)
+  this.timer = null
+  return this
+}
+
+module.exports = CdcSync
@@ -0,0 +1,422 @@
+/**
+ * @file OAuth 1.0a connect flow: exchanging request tokens and verifiers for access tokens, and renewing and
+ *       revoking access tokens through the App Center connection api
+ * @name node-quickbooks/connect
+ * @license ISC
+ */
+
+var crypto    = require('crypto'),
+    qs        = require('querystring'),
+    url       = require('url'),
+    _         = require('underscore'),
+    oauth     = require('./oauth'),
+    errors    = require('./errors'),
+    stores    = require('./store'),
+    transport = require('./transport')
+
+var REQUEST_TOKEN_URL = 'https://oauth.intuit.com/oauth/v1/get_request_token',
+    ACCESS_TOKEN_URL  = 'https://oauth.intuit.com/oauth/v1/get_access_token',
+    APP_CENTER_BASE   = 'https://appcenter.intuit.com'
+
+// Access tokens are valid for 180 days from the time they are issued
+var ACCESS_TOKEN_LIFETIME = 180 * 24 * 60 * 60 * 1000
+
+// Access tokens can be renewed with reconnect during the last 30 days of their lifetime
+var RECONNECT_WINDOW = 30 * 24 * 60 * 60 * 1000
+
+var STATE_COOKIE = 'qbo_connect_state',
+    STATE_TTL    = 10 * 60 * 1000
+
+// Signs and posts a token request, calling back with the form encoded response parsed
+function post(consumer, url, credentials, params, callback) {
+  var sender  = consumer.transport || new transport.HttpTransport(),
+      request = _.extend({
+        method:  'POST',
+        url:     url,
+        headers: {'Authorization': oauth.authorization('POST', url, credentials, params), 'Content-Length': '0'}
+      }, _.pick(consumer, 'timeout', 'agent', 'proxy', 'tls', 'signal'))
+  sender.send(request, function(err, res) {
+    if (err) return callback(err)
+    var text   = Buffer.isBuffer(res.body) ? res.body.toString('utf8') : String(res.body || ''),
+        parsed = qs.parse(text)
+    if (res.statusCode >= 400 || ! parsed.oauth_token || ! parsed.oauth_token_secret) {
+      var problem = parsed.oauth_problem
+      return callback(new errors.OAuthError('OAuth token request to ' + url + ' failed with HTTP ' + res.statusCode +
+                                            (problem ? ': ' + problem : ''), {
+        statusCode: res.statusCode,
+        code:       problem,
+        detail:     text,
+        intuitTid:  res.headers && res.headers['intuit_tid'],
+        body:       parsed
+      }))
+    }
+    callback(null, parsed)
+  })
+}
+
+function checkConsumer(consumer) {
+  if (! consumer || ! consumer.consumerKey || ! consumer.consumerSecret) {
+    throw new TypeError('consumer must have a consumerKey and a consumerSecret')
+  }
+}
+
+function checkAccessToken(consumer) {
+  checkConsumer(consumer)
+  if (! consumer.token || ! consumer.tokenSecret) {
+    throw new TypeError('an access token and token secret are required')
+  }
+}
+
+/**
+ * Obtains a request token, the first step of connecting a company. The user is then sent to the authorizeUrl of
+ * the result, and comes back to the callback url with the verifier, realmId and dataSource query parameters.
+ *
+ * @param {object} consumer - consumerKey and consumerSecret, and optionally requestTokenUrl, appCenterBase,
+ *                            transport, timeout, agent, proxy and tls, e.g. a QuickBooks instance
+ * @param {string} callbackUrl - url the user is redirected to once they authorized the app
+ * @param {function} callback - Callback function which is called with any error and the request token:
+ *                              token, tokenSecret, callbackConfirmed and authorizeUrl
+ */
+function getRequestToken(consumer, callbackUrl, callback) {
+  checkConsumer(consumer)
+  if (! callbackUrl) throw new TypeError('callbackUrl is required')
+  var credentials = _.pick(consumer, 'consumerKey', 'consumerSecret'),
+      base        = consumer.appCenterBase || APP_CENTER_BASE
+  post(consumer, consumer.requestTokenUrl || REQUEST_TOKEN_URL, credentials, {oauth_callback: callbackUrl},
+       function(err, parsed) {
+    if (err) return callback(err)
+    callback(null, {
+      token:             parsed.oauth_token,
+      tokenSecret:       parsed.oauth_token_secret,
+      callbackConfirmed: parsed.oauth_callback_confirmed === 'true',
+      authorizeUrl:      base + '/Connect/Begin?oauth_token=' + encodeURIComponent(parsed.oauth_token)
+    })
+  })
+}
+
+/**
+ * Exchanges an authorized request token for an access token, the last step of connecting a company.
+ *
+ * @param {object} consumer - consumerKey and consumerSecret, and optionally accessTokenUrl, transport, timeout,
+ *                            agent, proxy and tls, e.g. a QuickBooks instance
+ * @param {object} requestToken - token and tokenSecret of the request token, e.g. the result of getRequestToken
+ * @param {string|object} verifier - oauth_verifier, or the query parameters of the callback request:
+ *                                   oauth_verifier, realmId and dataSource
+ * @param {function} callback - Callback function which is called with any error and the access token: token,
+ *                              tokenSecret, realmId, dataSource, createdAt and expiresAt
+ */
+function getAccessToken(consumer, requestToken, verifier, callback) {
+  checkConsumer(consumer)
+  var query = _.isObject(verifier) ? verifier : {oauth_verifier: verifier}
+  if (! requestToken || ! requestToken.token || ! requestToken.tokenSecret) {
+    throw new TypeError('requestToken must have a token and a tokenSecret')
+  }
+  if (! query.oauth_verifier) throw new TypeError('verifier is required')
+  var credentials = _.extend(_.pick(consumer, 'consumerKey', 'consumerSecret'),
+                             _.pick(requestToken, 'token', 'tokenSecret'))
+  post(consumer, consumer.accessTokenUrl || ACCESS_TOKEN_URL, credentials, {oauth_verifier: query.oauth_verifier},
+       function(err, parsed) {
+    if (err) return callback(err)
+    var createdAt = new Date()
+    callback(null, {
+      token:       parsed.oauth_token,
+      tokenSecret: parsed.oauth_token_secret,
+      realmId:     query.realmId,
+      dataSource:  query.dataSource,
+      createdAt:   createdAt,
+      expiresAt:   new Date(createdAt.getTime() + ACCESS_TOKEN_LIFETIME)
+    })
+  })
+}
+
+function xmlValue(xml, tag) {
+  var match = xml.match(new RegExp('<' + tag + '>([^<]*)</' + tag + '>'))
+  return match ? match[1] : undefined
+}
+
+// Calls an App Center connection api, calling back with the ErrorCode 0 response or an OAuthError
+function appCenter(consumer, action, callback) {
+  var requestUrl  = (consumer.appCenterBase || APP_CENTER_BASE) + '/api/v1/connection/' + action,
+      credentials = _.pick(consumer, 'consumerKey', 'consumerSecret', 'token', 'tokenSecret'),
+      sender      = consumer.transport || new transport.HttpTransport(),
+      request     = _.extend({
+        method:  'GET',
+        url:     requestUrl,
+        headers: {'Authorization': oauth.authorization('GET', requestUrl, credentials), 'Accept': 'application/xml'}
+      }, _.pick(consumer, 'timeout', 'agent', 'proxy', 'tls', 'signal'))
+  sender.send(request, function(err, res) {
+    if (err) return callback(err)
+    var xml  = Buffer.isBuffer(res.body) ? res.body.toString('utf8') : String(res.body || ''),
+        code = xmlValue(xml, 'ErrorCode')
+    if (res.statusCode >= 400 || code !== '0') {
+      return callback(new errors.OAuthError('App Center ' + action + ' failed: ' +
+                                            (xmlValue(xml, 'ErrorMessage') || 'HTTP ' + res.statusCode), {
+        statusCode: res.statusCode,
+        code:       code,
+        detail:     xml,
+        intuitTid:  res.headers && res.headers['intuit_tid']
+      }))
+    }
+    callback(null, {
+      token:       xmlValue(xml, 'OAuthToken'),
+      tokenSecret: xmlValue(xml, 'OAuthTokenSecret'),
+      serverTime:  xmlValue(xml, 'ServerTime')
+    })
+  })
+}
+
+/**
+ * Renews an access token through the App Center Reconnect api. Only possible during the last 30 days before the
+ * token expires; earlier or later requests fail with an OAuthError with code 212.
+ *
+ * @param {object} consumer - consumerKey, consumerSecret, token and tokenSecret, and optionally appCenterBase,
+ *                            transport, timeout, agent, proxy and tls, e.g. a QuickBooks instance
+ * @param {function} callback - Callback function which is called with any error and the new access token:
+ *                              token, tokenSecret, createdAt and expiresAt
+ */
+function reconnect(consumer, callback) {
+  checkAccessToken(consumer)
+  appCenter(consumer, 'reconnect', function(err, result) {
+    if (err) return callback(err)
+    var createdAt = new Date()
+    callback(null, {
+      token:       result.token,
+      tokenSecret: result.tokenSecret,
+      createdAt:   createdAt,
+      expiresAt:   new Date(createdAt.getTime() + ACCESS_TOKEN_LIFETIME)
+    })
+  })
+}
+
+/**
+ * Invalidates an access token through the App Center Disconnect api, disconnecting the app from the company.
+ *
+ * @param {object} consumer - consumerKey, consumerSecret, token and tokenSecret, and optionally appCenterBase,
+ *                            transport, timeout, agent, proxy and tls, e.g. a QuickBooks instance
+ * @param {function} callback - Callback function which is called with any error
+ */
+function disconnect(consumer, callback) {
+  checkAccessToken(consumer)
+  appCenter(consumer, 'disconnect', function(err) {
+    callback(err || null)
+  })
+}
+
+function expiresAt(connection) {
+  var expires = connection.tokenExpiresAt || connection.expiresAt,
+      created = connection.tokenCreatedAt || connection.createdAt
+  if (expires) return new Date(expires)
+  if (created) return new Date(new Date(created).getTime() + ACCESS_TOKEN_LIFETIME)
+  return undefined
+}
+
+/**
+ * Describes the lifetime of an access token.
+ *
+ * @param {object} connection - expiresAt or createdAt of the token (tokenExpiresAt or tokenCreatedAt for a
+ *                              QuickBooks instance), as Dates or date strings
+ * @param {Date} now - (Optional) the time to report for, by default the current time
+ * @returns {object} - expiresAt (undefined when unknown), expired, renewable (inside the reconnect window and
+ *                     not expired) and daysLeft
+ */
+function tokenStatus(connection, now) {
+  var expires = expiresAt(connection),
+      time    = (now || new Date()).getTime()
+  if (! expires) return {expiresAt: undefined, expired: false, renewable: false, daysLeft: undefined}
+  var left = expires.getTime() - time
+  return {
+    expiresAt: expires,
+    expired:   left <= 0,
+    renewable: left > 0 && left <= RECONNECT_WINDOW,
+    daysLeft:  Math.max(0, Math.floor(left / (24 * 60 * 60 * 1000)))
+  }
+}
+
+/**
+ * Picks the connections whose access tokens are inside the reconnect window, soonest to expire first. Expired
+ * tokens can no longer be renewed and are left out, as are tokens of unknown age.
+ *
+ * @param {Array} connections - stored access tokens (with expiresAt or createdAt) or QuickBooks instances
+ * @param {Date} now - (Optional) the time to report for, by default the current time
+ * @returns {Array}
+ */
+function dueForRenewal(connections, now) {
+  var due = _.filter(connections || [], function(connection) {
+    return tokenStatus(connection, now).renewable
+  })
+  return _.sortBy(due, function(connection) { return expiresAt(connection).getTime() })
+}
+
+function cookies(req) {
+  var result = {}
+  _.each(String(req.headers.cookie || '').split(';'), function(pair) {
+    var index = pair.indexOf('=')
+    if (index > 0) result[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim())
+  })
+  return result
+}
+
+function sameState(a, b) {
+  var x = Buffer.from(String(a || '')), y = Buffer.from(String(b || ''))
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y)
+}
+
+function invalidState(message) {
+  return new errors.OAuthError(message, {statusCode: 403, code: 'invalid_state'})
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, function(c) { return '&#' + c.charCodeAt(0) + ';' })
+}
+
+function startPage(appCenterBase, grantUrl, datasources) {
+  return '<!DOCTYPE html>\n<html xmlns:ipp="">\n<head>\n<meta charset="utf-8">\n<title>Connect to QuickBooks</title>\n' +
+         '<script type="text/javascript" src="' + escapeHtml(appCenterBase) + '/Content/IA/intuit.ipp.anywhere-1.3.1.js"></script>\n' +
+         '<script>intuit.ipp.anywhere.setup(' + JSON.stringify({grantUrl: grantUrl, datasources: datasources})
+           .replace(/</g, '\\u003c') + ')</script>\n' +
+         '</head>\n<body>\n<ipp:connectToIntuit></ipp:connectToIntuit>\n</body>\n</html>\n'
+}
+
+var CLOSE_PAGE = '<!DOCTYPE html><html lang="en"><head></head><body><script>' +
+                 'if (window.opener) { window.opener.location.reload(); window.close() }</script></body></html>'
+
+/**
+ * Returns a request handler, usable with http.createServer or as Express/Connect middleware mounted at any path,
+ * that serves the "Connect to QuickBooks" flow:
+ *   GET /start        - page with the Connect to QuickBooks button
+ *   GET /requestToken - the grantUrl of the button, which obtains a request token and redirects to App Center
+ *   GET /callback     - exchanges the verifier for an access token and calls onConnect
+ * Other requests are passed to next, or answered with a 404.
+ *
+ * The request token is kept in the store under a random state, which is added to the callback url and set as an
+ * HttpOnly cookie. The callback is only accepted from the browser that started the flow, with the same state
+ * and request token, once and within ten minutes.
+ *
+ * @param {object} options - consumerKey and consumerSecret (required),
+ *                           onConnect - function(qbo, accessToken, req, callback) called with a QuickBooks instance
+ *                                       for the connected company and the result of getAccessToken; the callback
+ *                                       is called with any error once the tokens are saved (required),
+ *                           store - (Optional) store of the pending request tokens, by default a MemoryStore
+ *                                   which only works with a single process,
+ *                           callbackUrl - (Optional) absolute url of the callback route, by default built from the
+ *                                         Host header and the mount path,
+ *                           quickbooks - (Optional) other options of the QuickBooks instances, e.g. useSandbox,
+ *                                        also used for the token requests, e.g. transport or requestTokenUrl,
+ *                           datasources - (Optional) datasources of the button, by default {quickbooks: true},
+ *                           successRedirect - (Optional) url to redirect to once connected, instead of the page
+ *                                             that closes the App Center popup
+ * @returns {function} - function(req, res, next)
+ */
+function handler(options) {
+  options = options || {}
+  checkConsumer(options)
+  if (! _.isFunction(options.onConnect)) throw new TypeError('An onConnect function is required')
+  var QuickBooks = require('../index'),
+      store      = options.store || new stores.MemoryStore(),
+      settings   = _.extend({}, options.quickbooks, _.pick(options, 'consumerKey', 'consumerSecret')),
+      base       = settings.appCenterBase || APP_CENTER_BASE
+
+  return function(req, res, next) {
+    var parsed = url.parse(req.url, true),
+        mount  = req.baseUrl || '',
+        secure = req.protocol === 'https' || !! (req.connection && req.connection.encrypted)
+    var respond = function(status, headers, body) {
+      res.writeHead(status, headers)
+      res.end(body || '')
+    }
+    var fail = function(err) {
+      if (next) return next(err)
+      respond(err.statusCode || 500, {'Content-Type': 'text/plain'}, err.message)
+    }
+    var cookie = function(value, maxAge) {
+      return STATE_COOKIE + '=' + value + '; Path=' + (mount || '/') + '; Max-Age=' + maxAge +
+             '; HttpOnly; SameSite=Lax' + (secure ? '; Secure' : '')
+    }
+    var callbackUrl = options.callbackUrl ||
+                      (secure ? 'https' : 'http') + '://' + req.headers.host + mount + '/callback'
+
+    if (req.method !== 'GET') return next ? next() : respond(404)
+
+    if (parsed.pathname === '/start') {
+      return respond(200, {'Content-Type': 'text/html; charset=utf-8'},
+                     startPage(base, mount + '/requestToken', options.datasources || {quickbooks: true}))
+    }
+
+    if (parsed.pathname === '/requestToken') {
+      var state = crypto.randomBytes(24).toString('hex'),
+          separator = callbackUrl.indexOf('?') === -1 ? '?' : '&'
+      return getRequestToken(settings, callbackUrl + separator + 'state=' + state, function(err, requestToken) {
+        if (err) return fail(err)
+        var pending = _.extend(_.pick(requestToken, 'token', 'tokenSecret'), {createdAt: Date.now()})
+        store.set('connect:' + state, pending, function(err) {
+          if (err) return fail(err)
+          respond(302, {'Location': requestToken.authorizeUrl, 'Set-Cookie': cookie(state, STATE_TTL / 1000)})
+        })
+      })
+    }
+
+    if (parsed.pathname === '/callback') {
+      var query = parsed.query
+      if (! sameState(query.state, cookies(req)[STATE_COOKIE])) {
+        return fail(invalidState('The connect state does not match the one of this browser'))
+      }
+      var key = 'connect:' + query.state
+      return store.get(key, function(err, pending) {
+        if (err) return fail(err)
+        if (! pending) return fail(invalidState('Unknown or already used connect state'))
+        store.delete(key, function(err) {
+          if (err) return fail(err)
+          if (Date.now() - pending.createdAt > STATE_TTL) return fail(invalidState('The connect state expired'))
+          if (pending.token !== query.oauth_token) return fail(invalidState('The request token does not match the connect state'))
+          if (! query.oauth_verifier) {
+            // e.g. the user did not authorize the app
+            return fail(new errors.OAuthError('The callback is missing the oauth_verifier', {statusCode: 400, code: 'missing_verifier'}))
+          }
+          getAccessToken(settings, pending, query, function(err, accessToken) {
+            if (err) return fail(err)
+            if (! accessToken.realmId) {
+              return fail(new errors.OAuthError('The callback is missing the realmId', {statusCode: 400, code: 'missing_realm'}))
+            }
+            var qbo
+            try {
+              // only this company's token and realm, never defaults from the environment of the process
+              qbo = new QuickBooks(_.extend({}, settings, {
+                token:          accessToken.token,
+                tokenSecret:    accessToken.tokenSecret,
+                realmId:        accessToken.realmId,
+                tokenCreatedAt: accessToken.createdAt,
+                tokenExpiresAt: accessToken.expiresAt,
+                env:            false
+              }))
+            } catch (e) {
+              return fail(e)
+            }
+            options.onConnect(qbo, accessToken, req, function(err) {
+              if (err) return fail(err)
+              var headers = {'Set-Cookie': cookie('', 0)}
+              if (options.successRedirect) return respond(302, _.extend(headers, {'Location': options.successRedirect}))
+              respond(200, _.extend(headers, {'Content-Type': 'text/html; charset=utf-8'}), CLOSE_PAGE)
+            })
+          })
+        })
+      })
+    }
+
+    next ? next() : respond(404)
+  }
+}
+
+module.exports = {
+  REQUEST_TOKEN_URL:     REQUEST_TOKEN_URL,
+  ACCESS_TOKEN_URL:      ACCESS_TOKEN_URL,
+  APP_CENTER_BASE:       APP_CENTER_BASE,
+  ACCESS_TOKEN_LIFETIME: ACCESS_TOKEN_LIFETIME,
+  RECONNECT_WINDOW:      RECONNECT_WINDOW,
+  getRequestToken:       getRequestToken,
+  getAccessToken:        getAccessToken,
+  reconnect:             reconnect,
+  disconnect:            disconnect,
+  tokenStatus:           tokenStatus,
+  dueForRenewal:         dueForRenewal,
+  handler:               handler
+}
@@ -0,0 +1,175 @@
+/**
+ * @file Error types raised for QuickBooks V3 Fault and Payments error responses, and for requests that timed out
+ *       or were aborted
+ * @name node-quickbooks/errors
+ * @license ISC
+ */
+
+var util = require('util'),
+    _    = require('underscore')
+
+/**
+ * Base class of every error produced from a QuickBooks or Payments API response, or by a request that timed out
+ * or was aborted.
+ *
+ * @param {string} message - human readable description of the failure
+ * @param {object} props - (Optional) statusCode, code, element, detail, intuitTid, errors and body of the response
+ * @constructor
+ */
+function QuickBooksError(message, props) {
+  Error.call(this)
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor)
+  this.name       = this.constructor.name
+  this.message    = message
+  props           = props || {}
+  this.statusCode = props.statusCode
+  this.code       = props.code
+  this.element    = props.element
+  this.detail     = props.detail
+  this.intuitTid  = props.intuitTid
+  this.errors     = props.errors || []
+  this.body       = props.body
+}
+util.inherits(QuickBooksError, Error)
+
+/** Request failed validation, e.g. a missing required field or a business rule violation */
+function ValidationFault(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(ValidationFault, QuickBooksError)
+
+/** OAuth credentials were rejected, expired or lack permission for the realm */
+function AuthenticationFault(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(AuthenticationFault, QuickBooksError)
+
+/** Entity update was sent with an out of date SyncToken */
+function StaleObjectError(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(StaleObjectError, ValidationFault)
+
+/** Request was rejected because the realm exceeded its rate limits */
+function ThrottleError(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(ThrottleError, QuickBooksError)
+
+/** Requested entity or resource does not exist */
+function NotFound(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(NotFound, QuickBooksError)
+
+/** Intuit reported an internal error or the service was unavailable */
+function ServiceFault(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(ServiceFault, QuickBooksError)
+
+/** No response arrived within the timeout of the request; code is the network error code, e.g. ESOCKETTIMEDOUT */
+function TimeoutError(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(TimeoutError, QuickBooksError)
+
+/** Request was cancelled through its AbortSignal before it completed */
+function AbortError(message, props) {
+  QuickBooksError.call(this, message, _.extend({code: 'ABORT_ERR'}, props))
+}
+util.inherits(AbortError, QuickBooksError)
+
+/** OAuth request or access token exchange was rejected; code is the oauth_problem, e.g. signature_invalid */
+function OAuthError(message, props) {
+  QuickBooksError.call(this, message, props)
+}
+util.inherits(OAuthError, QuickBooksError)
+
+var STALE_OBJECT_CODES = ['5010'],
+    THROTTLE_CODES     = ['3001', '003001', '3005', '003005'],
+    NOT_FOUND_CODES    = ['610'],
+    AUTH_CODES         = ['100', '3100', '3200', '003100', '003200']
+
+function classify(statusCode, type, code) {
+  type = (type || '').toLowerCase()
+  if (_.contains(STALE_OBJECT_CODES, code))                                 return StaleObjectError
+  if (statusCode === 429 || _.contains(THROTTLE_CODES, code))              return ThrottleError
+  if (statusCode === 401 || statusCode === 403 || _.contains(AUTH_CODES, code) ||
+      type.match(/^(authentication|authorization)/))                       return AuthenticationFault
+  if (statusCode === 404 || _.contains(NOT_FOUND_CODES, code))             return NotFound
+  if (statusCode >= 500 || type.match(/^(system|service)/))                return ServiceFault
+  return ValidationFault
+}
+
+function parseBody(body) {
+  if (Buffer.isBuffer(body)) body = body.toString('utf8')
+  if (_.isString(body)) {
+    try {
+      return JSON.parse(body)
+    } catch (e) {
+      return body
+    }
+  }
+  return body
+}
+
+/**
+ * Builds the matching QuickBooksError for a failed response, or returns null when the
+ * response carries neither a V3 Fault, a Payments errors array nor an HTTP error status.
+ *
+ * @param {object} response - http.IncomingMessage, or any object with statusCode and headers
+ * @param {object} body - parsed response body
+ * @returns {QuickBooksError|null}
+ */
+function fromResponse(response, body) {
+  var statusCode = response && response.statusCode,
+      headers    = (response && response.headers) || {},
+      parsed     = parseBody(body),
+      errors, type
+
+  if (_.isObject(parsed) && parsed.Fault) {
+    type   = parsed.Fault.type
+    errors = _.map(parsed.Fault.Error || [], function(e) {
+      return {message: e.Message, detail: e.Detail, code: e.code, element: e.element}
+    })
+  } else if (_.isObject(parsed) && _.isArray(parsed.errors) && parsed.errors.length) {
+    errors = _.map(parsed.errors, function(e) {
+      return {message: e.message, detail: e.detail, code: e.code, element: e.element, type: e.type}
+    })
+    type = errors[0].type
+  } else if (statusCode >= 400) {
+    errors = [{message: 'HTTP ' + statusCode, detail: _.isString(parsed) ? parsed : undefined}]
+  } else {
+    return null
+  }
+
+  var first   = errors[0] || {},
+      code    = _.isUndefined(first.code) ? undefined : String(first.code),
+      Type    = classify(statusCode, type, code),
+      message = first.message || type || 'QuickBooks error'
+  if (first.detail && first.detail !== message) message += ': ' + first.detail
+  return new Type(message, {
+    statusCode: statusCode,
+    code:       code,
+    element:    first.element,
+    detail:     first.detail,
+    intuitTid:  headers['intuit_tid'],
+    errors:     errors,
+    body:       parsed
+  })
+}
+
+module.exports = {
+  QuickBooksError:     QuickBooksError,
+  ValidationFault:     ValidationFault,
+  AuthenticationFault: AuthenticationFault,
+  StaleObjectError:    StaleObjectError,
+  ThrottleError:       ThrottleError,
+  NotFound:            NotFound,
+  ServiceFault:        ServiceFault,
+  TimeoutError:        TimeoutError,
+  AbortError:          AbortError,
+  OAuthError:          OAuthError,
+  fromResponse:        fromResponse
+}
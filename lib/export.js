@@ -0,0 +1,179 @@
+/**
+ * @file Exports reports and query results to CSV and XLSX
+ * @name node-quickbooks/export
+ * @license ISC
+ */
+
+var fs     = require('fs'),
+    _      = require('underscore'),
+    report = require('./report'),
+    xlsx   = require('./xlsx')
+
+function isReport(input) {
+  return !! (input && input.Columns && input.Rows)
+}
+
+// The entities of a query result, e.g. the Invoice array of a findInvoices response
+function entities(input) {
+  if (_.isArray(input)) return input
+  var response = (input && input.QueryResponse) || input || {}
+  return _.find(_.values(response), _.isArray) || []
+}
+
+// Nested objects become dotted columns (CustomerRef.name), arrays such as Line are kept as JSON
+function flattenEntity(entity, prefix, out) {
+  _.each(entity, function(value, key) {
+    var column = prefix ? prefix + '.' + key : key
+    if (_.isArray(value)) {
+      out[column] = JSON.stringify(value)
+    } else if (_.isObject(value)) {
+      flattenEntity(value, column, out)
+    } else {
+      out[column] = value
+    }
+  })
+  return out
+}
+
+function reportTable(input) {
+  var tree = report.tree(input), rows = []
+  var add = function(row, type, depth) {
+    rows.push({type: type, depth: depth, cells: row.cells})
+  }
+  var walk = function(nodes, depth) {
+    _.each(nodes, function(node) {
+      if (node.type !== 'Section') return add(node, 'Data', depth)
+      if (node.header) add(node.header, 'Header', depth)
+      walk(node.rows, node.header ? depth + 1 : depth)
+      if (node.summary) add(node.summary, 'Summary', depth)
+    })
+  }
+  walk(tree.rows, 0)
+  return {columns: _.pluck(tree.columns, 'title'), rows: rows}
+}
+
+function entityTable(input, options) {
+  var flattened = _.map(entities(input), function(entity) { return flattenEntity(entity, '', {}) }),
+      columns   = options.columns
+  if (! columns) {
+    columns = []
+    _.each(flattened, function(entity) {
+      _.each(_.keys(entity), function(key) {
+        if (! _.contains(columns, key)) columns.push(key)
+      })
+    })
+  }
+  return {
+    columns: columns,
+    rows: _.map(flattened, function(entity) {
+      return {type: 'Data', depth: 0, cells: _.map(columns, function(c) { return entity[c] })}
+    })
+  }
+}
+
+/**
+ * Converts a report, or a query response or list of entities, into a table of column titles and rows of
+ * cells. Report rows keep their type ('Header', 'Data' or 'Summary') and section depth.
+ *
+ * @param {object} input - response of a report* or find* function, or an array of entities
+ * @param {object} options - (Optional) columns - for query results, the dotted columns to export and their order
+ * @returns {object} - {columns, rows}, each row being {type, depth, cells}
+ */
+function table(input, options) {
+  return isReport(input) ? reportTable(input) : entityTable(input, options || {})
+}
+
+function csvField(value, delimiter) {
+  if (value === null || _.isUndefined(value)) return ''
+  var s = String(value)
+  if (s.indexOf(delimiter) >= 0 || /["\r\n]/.test(s)) {
+    s = '"' + s.replace(/"/g, '""') + '"'
+  }
+  return s
+}
+
+/**
+ * Renders a report or query result as RFC 4180 CSV. Report sections are shown by indenting the first column.
+ *
+ * @param {object} input - response of a report* or find* function, or an array of entities
+ * @param {object} options - (Optional) delimiter (default ','), indent (string repeated per section level,
+ *                           default two spaces), header (include the column titles, default true), columns
+ * @returns {string}
+ */
+function toCsv(input, options) {
+  options = _.defaults({}, options, {delimiter: ',', indent: '  ', header: true})
+  var t = table(input, options), lines = []
+  var line = function(cells) {
+    return _.map(cells, function(c) { return csvField(c, options.delimiter) }).join(options.delimiter)
+  }
+  if (options.header) lines.push(line(t.columns))
+  _.each(t.rows, function(row) {
+    var cells = row.cells.slice()
+    if (row.depth && cells.length) cells[0] = new Array(row.depth + 1).join(options.indent) + (cells[0] || '')
+    lines.push(line(cells))
+  })
+  return lines.join('\r\n') + '\r\n'
+}
+
+/**
+ * Renders a report or query result as an XLSX workbook. Report sections are shown by indenting the first
+ * column, and section headers and subtotal rows are bold.
+ *
+ * @param {object} input - response of a report* or find* function, or an array of entities
+ * @param {object} options - (Optional) sheetName, header (default true), columns
+ * @returns {Buffer}
+ */
+function toXlsx(input, options) {
+  options = _.defaults({}, options, {header: true})
+  var t = table(input, options), rows = []
+  if (options.header) {
+    rows.push(_.map(t.columns, function(title) { return {value: title, bold: true} }))
+  }
+  _.each(t.rows, function(row) {
+    rows.push(_.map(row.cells, function(value, i) {
+      return {value: value, bold: row.type !== 'Data', indent: i === 0 ? row.depth : 0}
+    }))
+  })
+  var sheetName = options.sheetName || (isReport(input) && input.Header && input.Header.ReportName) || 'Sheet1'
+  return xlsx.workbook(rows, {sheetName: sheetName})
+}
+
+/**
+ * Writes a report or query result to a CSV file.
+ *
+ * @param {object} input - response of a report* or find* function, or an array of entities
+ * @param {string} file - path of the file to write
+ * @param {object} options - (Optional) as for toCsv
+ * @param {function} callback - Callback function which is called with any error
+ */
+function writeCsv(input, file, options, callback) {
+  if (_.isFunction(options)) {
+    callback = options
+    options = null
+  }
+  fs.writeFile(file, toCsv(input, options), 'utf8', callback)
+}
+
+/**
+ * Writes a report or query result to an XLSX file.
+ *
+ * @param {object} input - response of a report* or find* function, or an array of entities
+ * @param {string} file - path of the file to write
+ * @param {object} options - (Optional) as for toXlsx
+ * @param {function} callback - Callback function which is called with any error
+ */
+function writeXlsx(input, file, options, callback) {
+  if (_.isFunction(options)) {
+    callback = options
+    options = null
+  }
+  fs.writeFile(file, toXlsx(input, options), callback)
+}
+
+module.exports = {
+  table:     table,
+  toCsv:     toCsv,
+  toXlsx:    toXlsx,
+  writeCsv:  writeCsv,
+  writeXlsx: writeXlsx
+}
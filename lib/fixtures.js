@@ -0,0 +1,215 @@
+/**
+ * @file Records API interactions to fixture files and replays them in tests
+ * @name node-quickbooks/fixtures
+ * @license ISC
+ */
+
+var fs     = require('fs'),
+    path   = require('path'),
+    url    = require('url'),
+    util   = require('util'),
+    _      = require('underscore'),
+    redact = require('./redact')
+
+var scrub        = redact.scrub,
+    scrubHeaders = redact.scrubHeaders
+
+/**
+ * Raised in replay mode for a request that has no recorded interaction left.
+ *
+ * @param {string} message
+ * @param {object} request - the normalized request, {verb, path, query, body}
+ * @constructor
+ */
+function UnmatchedRequestError(message, request) {
+  Error.call(this)
+  if (Error.captureStackTrace) Error.captureStackTrace(this, this.constructor)
+  this.name    = 'UnmatchedRequestError'
+  this.message = message
+  this.request = request
+}
+util.inherits(UnmatchedRequestError, Error)
+
+// JSON with object keys sorted, so that equal bodies compare equal whatever their key order
+function canonical(value) {
+  if (_.isArray(value)) return '[' + _.map(value, canonical).join(',') + ']'
+  if (_.isObject(value)) {
+    return '{' + _.map(_.keys(value).sort(), function(key) {
+      return JSON.stringify(key) + ':' + canonical(value[key])
+    }).join(',') + '}'
+  }
+  return JSON.stringify(_.isUndefined(value) ? null : value)
+}
+
+/**
+ * Records the interactions of QuickBooks instances to a JSON fixture file, or replays them from it.
+ *
+ * Requests are matched on their verb, path relative to the company or Payments endpoint (so fixtures recorded
+ * against one realm replay for any other), query parameters in any order and JSON body. Identical requests
+ * replay their recorded responses in order, e.g. a query before and after a delete.
+ *
+ * Recorded fixtures never contain the OAuth credentials or Authorization header, and card and bank account
+ * numbers, card tokens and CVCs are scrubbed from request and response bodies. Requests are scrubbed the same
+ * way before matching, so replay works with the real card details in the test.
+ *
+ * @param {object} options - file (required), mode - 'record' or 'replay' (default the QBO_FIXTURES environment
+ *                           variable, or 'replay'), ignore - query parameters left out of matching because they
+ *                           change on every run (default ['changedSince'])
+ * @constructor
+ */
+function Fixtures(options) {
+  options = _.isString(options) ? {file: options} : options || {}
+  if (! options.file) throw new Error('Fixtures require a file')
+  this.file         = path.resolve(options.file)
+  this.mode         = options.mode || process.env.QBO_FIXTURES || 'replay'
+  this.ignore       = options.ignore || Fixtures.IGNORED_PARAMS
+  this.interactions = this.mode === 'record' ? [] : null
+  if (! _.contains(['record', 'replay'], this.mode)) {
+    throw new Error('Fixtures mode must be record or replay, not ' + this.mode)
+  }
+}
+
+Fixtures.IGNORED_PARAMS        = ['changedSince']
+Fixtures.UnmatchedRequestError = UnmatchedRequestError
+Fixtures.scrub                 = scrub
+
+/**
+ * Normalizes a request for matching and recording.
+ *
+ * @param {string} verb - http verb, e.g. 'get'
+ * @param {string} relativeUrl - url below the company or Payments endpoint, e.g. '/invoice/42'
+ * @param {object} qs - (Optional) extra query parameters
+ * @param {*} body - (Optional) request body, parsed when it is a JSON Buffer or string
+ * @returns {object} - {verb, path, query, body}
+ */
+Fixtures.prototype.normalize = function(verb, relativeUrl, qs, body) {
+  if (Buffer.isBuffer(body) || _.isString(body)) {
+    try {
+      body = JSON.parse(body.toString('utf8'))
+    } catch (e) {
+      body = body.toString('utf8')
+    }
+  }
+  var parsed = url.parse(relativeUrl, true),
+      query  = _.omit(_.extend({}, parsed.query, qs), this.ignore),
+      sorted = {}
+  _.each(_.keys(query).sort(), function(key) {
+    sorted[key] = key === 'query' ? String(query[key]).replace(/\s+/g, ' ').trim() : String(query[key])
+  })
+  return {
+    verb:  verb.toLowerCase(),
+    path:  parsed.pathname,
+    query: sorted,
+    body:  _.isUndefined(body) || body === '' ? null : scrub(body)
+  }
+}
+
+Fixtures.prototype.load = function() {
+  if (this.interactions) return this.interactions
+  var json
+  try {
+    json = fs.readFileSync(this.file, 'utf8')
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e
+    throw new Error('Fixture file ' + this.file + ' does not exist; record it with mode record or QBO_FIXTURES=record')
+  }
+  this.interactions = JSON.parse(json)
+  return this.interactions
+}
+
+Fixtures.prototype.save = function() {
+  var dir = path.dirname(this.file)
+  if (! fs.existsSync(dir)) fs.mkdirSync(dir, {recursive: true})
+  fs.writeFileSync(this.file, JSON.stringify(this.interactions, null, 2) + '\n')
+}
+
+/**
+ * Performs a request: in replay mode from the first unused matching interaction, in record mode with live and
+ * then saving the scrubbed interaction.
+ *
+ * @param {object} request - normalized request, as returned by normalize
+ * @param {object} headers - request headers, recorded without the Authorization header
+ * @param {function} live - function(callback) performing the real request
+ * @param {function} callback - Callback function which is called with any error, the response and the body
+ */
+Fixtures.prototype.send = function(request, headers, live, callback) {
+  var self = this
+  if (this.mode === 'replay') {
+    var interaction
+    try {
+      interaction = this.match(request)
+    } catch (e) {
+      return setImmediate(function() { callback(e) })
+    }
+    return setImmediate(function() { self.replay(interaction, callback) })
+  }
+  live(function(err, res, body) {
+    self.interactions.push({
+      request:  _.extend({}, request, {headers: scrubHeaders(headers)}),
+      response: self.recordResponse(request, err, res, body)
+    })
+    try {
+      self.save()
+    } catch (e) {
+      return callback(e)
+    }
+    callback(err, res, body)
+  })
+}
+
+Fixtures.prototype.match = function(request) {
+  var key = canonical(_.pick(request, 'verb', 'path', 'query', 'body'))
+  var interaction = _.find(this.load(), function(i) {
+    return ! i.used && canonical(_.pick(i.request, 'verb', 'path', 'query', 'body')) === key
+  })
+  if (! interaction) {
+    var query = _.map(request.query, function(v, k) { return k + '=' + v }).join('&')
+    throw new UnmatchedRequestError('No recorded response left for ' + request.verb.toUpperCase() + ' ' +
+                                    request.path + (query ? '?' + query : '') +
+                                    (request.body ? ' ' + canonical(request.body) : '') + ' in ' + this.file, request)
+  }
+  interaction.used = true
+  return interaction
+}
+
+Fixtures.prototype.recordResponse = function(request, err, res, body) {
+  if (err) return {error: {code: err.code, message: err.message}}
+  var response = {statusCode: res && res.statusCode, headers: scrubHeaders(res && res.headers)}
+  if (Buffer.isBuffer(body)) {
+    response.encoding = 'base64'
+    response.body = body.toString('base64')
+  } else {
+    response.body = redact.scrubResponse(request.path, body)
+  }
+  return response
+}
+
+Fixtures.prototype.replay = function(interaction, callback) {
+  var response = interaction.response
+  if (response.error) {
+    var err = new Error(response.error.message)
+    err.code = response.error.code
+    return callback(err)
+  }
+  var body = response.encoding === 'base64' ? Buffer.from(response.body, 'base64') : response.body
+  callback(null, {statusCode: response.statusCode, headers: response.headers || {}, body: body}, body)
+}
+
+/**
+ * Lists the recorded interactions that have not been replayed, e.g. to check a test made every request.
+ *
+ * @returns {Array}
+ */
+Fixtures.prototype.pending = function() {
+  return this.mode === 'replay' ? _.reject(this.load(), function(i) { return i.used }) : []
+}
+
+/**
+ * Marks every interaction as unused again, so the fixtures can be replayed from the start.
+ */
+Fixtures.prototype.rewind = function() {
+  _.each(this.interactions || [], function(i) { delete i.used })
+  return this
+}
+
+module.exports = Fixtures
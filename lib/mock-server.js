@@ -0,0 +1,855 @@
+/**
+ * @file In-process stand-in for the QuickBooks V3 and Payments APIs, for offline testing
+ * @name node-quickbooks/mock-server
+ * @license ISC
+ */
+
+var http   = require('http'),
+    url    = require('url'),
+    crypto = require('crypto'),
+    moment = require('moment'),
+    _      = require('underscore'),
+    batch  = require('./batch')
+
+var ENTITIES = ['Account', 'Attachable', 'Bill', 'BillPayment', 'Budget', 'Class', 'CompanyInfo', 'CreditMemo',
+                'Customer', 'Department', 'Employee', 'Estimate', 'Invoice', 'Item', 'JournalEntry', 'Payment',
+                'PaymentMethod', 'Preferences', 'Purchase', 'PurchaseOrder', 'RefundReceipt', 'SalesReceipt',
+                'TaxAgency', 'TaxCode', 'TaxRate', 'TaxService', 'Term', 'TimeActivity', 'Vendor', 'VendorCredit']
+
+// Name list entities whose names must be unique within a company
+var NAME_FIELDS = {
+  Account: 'Name', Class: 'Name', Customer: 'DisplayName', Department: 'Name', Employee: 'DisplayName',
+  Item: 'Name', PaymentMethod: 'Name', Term: 'Name', Vendor: 'DisplayName'
+}
+
+var BALANCE_ENTITIES = ['Invoice', 'Bill']
+
+var DEFAULT_PAGE_SIZE = 100,
+    MAX_PAGE_SIZE     = 1000,
+    CDC_LOOKBACK_DAYS = 30,
+    PAYMENTS_INFO     = 'https://developer.intuit.com/v2/docs?redirectID=PayErrors'
+
+// A response, returned or thrown by the route handlers
+function Reply(status, body, headers) {
+  this.status  = status
+  this.body    = body
+  this.headers = headers || {}
+}
+
+function now() {
+  return moment().format()
+}
+
+function fault(status, code, message, detail, type, element) {
+  var error = {Message: message, Detail: detail, code: String(code)}
+  if (element) error.element = element
+  return new Reply(status, {Fault: {Error: [error], type: type || 'ValidationFault'}, time: now()})
+}
+
+function paymentsError(status, code, message, detail, type) {
+  return new Reply(status, {errors: [{
+    code:     code,
+    type:     type || 'invalid_request',
+    message:  message,
+    detail:   detail,
+    moreInfo: PAYMENTS_INFO
+  }]})
+}
+
+function notFound(entityName, id) {
+  return fault(400, 610, 'Object Not Found',
+               'Object Not Found : Something you\'re trying to use has been made inactive. ' +
+               'Check the fields with accounts, customers, items, vendors or employees.', 'ValidationFault', entityName + '.Id=' + id)
+}
+
+function staleObject(entity) {
+  return fault(400, 5010, 'Stale Object Error',
+               'Stale Object Error : You and another user were working on this at the same time. ' +
+               'They finished before you did, so your work was not saved.', 'ValidationFault', 'SyncToken=' + entity.SyncToken)
+}
+
+function clone(o) {
+  return JSON.parse(JSON.stringify(o))
+}
+
+function isNumeric(n) {
+  return ! isNaN(parseFloat(n)) && isFinite(n)
+}
+
+// **********************  Query language **********************
+
+var TOKEN = /\s*(?:('(?:[^'\\]|\\.)*')|(<=|>=|!=|=|<|>|\(|\)|,|\*)|([^\s'(),=<>!*]+))/g
+
+function queryError(detail) {
+  return fault(400, 4000, 'Error parsing query', 'QueryParserError: ' + detail)
+}
+
+function tokenize(sql) {
+  var tokens = [], position = 0, match
+  TOKEN.lastIndex = 0
+  while ((match = TOKEN.exec(sql)) && match.index === position) {
+    position = TOKEN.lastIndex
+    if (match[1])      tokens.push({type: 'string', value: match[1].slice(1, -1).replace(/\\(.)/g, '$1')})
+    else if (match[2]) tokens.push({type: 'symbol', value: match[2]})
+    else if (match[3]) tokens.push({type: 'word',   value: match[3]})
+  }
+  var rest = sql.slice(position)
+  if (rest.trim()) {
+    throw queryError('Encountered "' + rest.trim().charAt(0) + '" at column ' + (sql.length - rest.replace(/^\s+/, '').length + 1))
+  }
+  return tokens
+}
+
+/**
+ * Parses a query statement of the form
+ * `select * | count(*) | Field, ... from Entity [where Field op value and ...] [orderby Field [asc|desc], ...]
+ * [startposition n] [maxresults n]`. Like QuickBooks, `or` and parentheses are not supported.
+ */
+function parseQuery(sql) {
+  var tokens = tokenize(sql || ''), i = 0, query = {fields: [], count: false, conditions: [], ordering: []}
+  var unexpected = function() {
+    var t = tokens[i]
+    return queryError('Encountered "' + (t ? t.value : '<EOF>') + '" in "' + sql + '"')
+  }
+  var keyword = function(word) {
+    var t = tokens[i]
+    if (t && t.type === 'word' && t.value.toLowerCase() === word) return !! ++i
+    return false
+  }
+  var symbol = function(s) {
+    var t = tokens[i]
+    if (t && t.type === 'symbol' && t.value === s) return !! ++i
+    return false
+  }
+  var word = function() {
+    var t = tokens[i]
+    if (! t || t.type !== 'word') throw unexpected()
+    i++
+    return t.value
+  }
+  var literal = function() {
+    var t = tokens[i]
+    if (t && t.type === 'string') {
+      i++
+      return t.value
+    }
+    var w = word(), lower = w.toLowerCase()
+    if (lower === 'true' || lower === 'false') return lower === 'true'
+    if (isNumeric(w)) return Number(w)
+    i--
+    throw unexpected()
+  }
+  var number = function() {
+    var n = literal()
+    if (! isNumeric(n)) throw unexpected()
+    return Number(n)
+  }
+  var condition = function() {
+    var c = {field: word()}, t = tokens[i]
+    if (keyword('in')) {
+      c.operator = 'IN'
+      c.value = []
+      if (! symbol('(')) throw unexpected()
+      do { c.value.push(literal()) } while (symbol(','))
+      if (! symbol(')')) throw unexpected()
+      return c
+    }
+    if (keyword('like')) {
+      c.operator = 'LIKE'
+    } else if (t && t.type === 'symbol' && _.contains(['=', '<', '>', '<=', '>='], t.value)) {
+      c.operator = t.value
+      i++
+    } else {
+      throw unexpected()
+    }
+    c.value = literal()
+    return c
+  }
+
+  if (! keyword('select')) throw unexpected()
+  if (keyword('count')) {
+    if (! symbol('(') || ! symbol('*') || ! symbol(')')) throw unexpected()
+    query.count = true
+  } else if (! symbol('*')) {
+    do { query.fields.push(word()) } while (symbol(','))
+  }
+  if (! keyword('from')) throw unexpected()
+  query.entity = word()
+  if (keyword('where')) {
+    do { query.conditions.push(condition()) } while (keyword('and'))
+  }
+  if (keyword('orderby')) {
+    do {
+      var field = word(), desc = keyword('desc')
+      if (! desc) keyword('asc')
+      query.ordering.push({field: field, desc: desc})
+    } while (symbol(','))
+  }
+  if (keyword('startposition')) query.startPosition = number()
+  if (keyword('maxresults'))    query.maxResults = number()
+  if (i < tokens.length) throw unexpected()
+  return query
+}
+
+// The value of a (dotted) field, references such as CustomerRef comparing by their value
+function fieldValue(entity, field) {
+  var value = _.reduce(field.split('.'), function(o, key) {
+    if (! o) return undefined
+    var match = _.find(_.keys(o), function(k) { return k.toLowerCase() === key.toLowerCase() })
+    return match ? o[match] : undefined
+  }, entity)
+  return _.isObject(value) && ! _.isArray(value) && _.has(value, 'value') ? value.value : value
+}
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b)
+  var date = /^\d{4}-\d\d-\d\d/
+  if (date.test(a) && date.test(b)) return moment(a).valueOf() - moment(b).valueOf()
+  a = String(a).toLowerCase()
+  b = String(b).toLowerCase()
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+function matches(entity, c) {
+  var value = fieldValue(entity, c.field)
+  if (_.isUndefined(value) || value === null) return false
+  switch (c.operator) {
+    case 'IN':   return _.some(c.value, function(v) { return compare(value, v) === 0 })
+    case 'LIKE':
+      var pattern = String(c.value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')
+      return new RegExp('^' + pattern + '$', 'i').test(String(value))
+    case '=':  return compare(value, c.value) === 0
+    case '<':  return compare(value, c.value) < 0
+    case '>':  return compare(value, c.value) > 0
+    case '<=': return compare(value, c.value) <= 0
+    case '>=': return compare(value, c.value) >= 0
+  }
+}
+
+// **********************  Server **********************
+
+/**
+ * A local HTTP server implementing enough of the QuickBooks V3 accounting API (entity CRUD, query, batch,
+ * change data capture, reports, send and pdf) and of the Payments API (tokens, charges, captures and refunds)
+ * to run code against without a sandbox company. Each realmId gets its own in-memory company, created on
+ * first use.
+ *
+ * Entities get sequential Ids, a SyncToken that increments on every update and MetaData timestamps.
+ * Updates and deletes with an outdated SyncToken fail with a Stale Object Error, reads of unknown Ids with
+ * Object Not Found, duplicate names of name list entities with Duplicate Name Exists, and requests without
+ * an Authorization header with an AuthenticationFault, each in the Fault format of the real API.
+ *
+ *   var server = new QuickBooks.MockServer()
+ *   server.listen(function() {
+ *     var qbo = new QuickBooks(server.config('123145'))
+ *     ...
+ *     server.close()
+ *   })
+ *
+ * @constructor
+ */
+function MockServer() {
+  var self = this
+  this.sockets = []
+  this.server  = http.createServer(function(req, res) { self.handle(req, res) })
+  this.server.on('connection', function(socket) {
+    self.sockets.push(socket)
+    socket.on('close', function() { self.sockets = _.without(self.sockets, socket) })
+  })
+  this.reset()
+}
+
+MockServer.ENTITIES = ENTITIES
+
+/**
+ * Starts listening on 127.0.0.1 and sets url, endpoint and paymentEndpoint.
+ *
+ * @param {number} port - (Optional) port to listen on, by default any free port
+ * @param {function} callback - (Optional) Callback function which is called with any error and the server
+ */
+MockServer.prototype.listen = function(port, callback) {
+  var self = this
+  if (_.isFunction(port)) {
+    callback = port
+    port = 0
+  }
+  callback = callback || function() {}
+  var onError = function(err) { callback(err) }
+  this.server.once('error', onError)
+  this.server.listen(port || 0, '127.0.0.1', function() {
+    self.server.removeListener('error', onError)
+    self.port            = self.server.address().port
+    self.url             = 'http://127.0.0.1:' + self.port
+    self.endpoint        = self.url + '/v3/company/'
+    self.paymentEndpoint = self.url + '/quickbooks/v4/payments'
+    callback(null, self)
+  })
+  return this
+}
+
+/**
+ * Stops the server, closing any open connections.
+ *
+ * @param {function} callback - (Optional) Callback function which is called once the server is closed
+ */
+MockServer.prototype.close = function(callback) {
+  this.server.close(function() {
+    if (callback) callback()
+  })
+  _.invoke(this.sockets, 'destroy')
+}
+
+/**
+ * Options for a QuickBooks instance talking to this server, with retries and rate limiting turned off.
+ *
+ * @param {string} realmId - company to use
+ * @returns {object}
+ */
+MockServer.prototype.config = function(realmId) {
+  return {
+    consumerKey:     'mock-consumer-key',
+    consumerSecret:  'mock-consumer-secret',
+    token:           'mock-token',
+    tokenSecret:     'mock-token-secret',
+    realmId:         String(realmId),
+    useSandbox:      true,
+    endpoint:        this.endpoint,
+    paymentEndpoint: this.paymentEndpoint,
+    retry:           false,
+    rateLimit:       false
+  }
+}
+
+/**
+ * Forgets every company, charge, queued failure and recorded request.
+ */
+MockServer.prototype.reset = function() {
+  this.realms   = {}
+  this.reports  = {}
+  this.failures = []
+  this.requests = []
+  this.payments = {tokens: {}, charges: {}, requestIds: {}}
+  return this
+}
+
+MockServer.prototype.realm = function(realmId) {
+  var realm = this.realms[realmId]
+  if (! realm) {
+    realm = this.realms[realmId] = {nextId: 1, entities: {}, deleted: []}
+    var time = now()
+    realm.entities.CompanyInfo = {}
+    realm.entities.CompanyInfo[realmId] = {
+      Id: String(realmId), SyncToken: '0', domain: 'QBO', sparse: false, CompanyName: 'Mock Company ' + realmId,
+      Country: 'US', MetaData: {CreateTime: time, LastUpdatedTime: time}
+    }
+    realm.entities.Preferences = {1: {Id: '1', SyncToken: '0', domain: 'QBO', sparse: false,
+                                      MetaData: {CreateTime: time, LastUpdatedTime: time}}}
+  }
+  return realm
+}
+
+/**
+ * Adds entities to a company as if they had been created through the API.
+ *
+ * @param {string} realmId - company to add them to
+ * @param {string} entityName - e.g. 'Customer'
+ * @param {Array} entities - entities to create
+ * @returns {Array} - the created entities, with their Id, SyncToken and MetaData
+ */
+MockServer.prototype.seed = function(realmId, entityName, entities) {
+  var realm = this.realm(String(realmId)), name = canonicalName(entityName)
+  return _.map(_.isArray(entities) ? entities : [entities], function(entity) {
+    return clone(createEntity(realm, name, entity))
+  })
+}
+
+/**
+ * Lists the current entities of a type, e.g. to assert on the state left by the code under test.
+ *
+ * @param {string} realmId - company
+ * @param {string} entityName - e.g. 'Invoice'
+ * @returns {Array}
+ */
+MockServer.prototype.entities = function(realmId, entityName) {
+  return clone(_.values(this.realm(String(realmId)).entities[canonicalName(entityName)] || {}))
+}
+
+/**
+ * Sets the response of a report, e.g. setReport('ProfitAndLoss', report). Reports that are not set
+ * return a report without rows.
+ *
+ * @param {string} reportName - e.g. 'BalanceSheet'
+ * @param {object|function} report - report, or function(query, realmId) returning one
+ */
+MockServer.prototype.setReport = function(reportName, report) {
+  this.reports[reportName.toLowerCase()] = report
+  return this
+}
+
+/**
+ * Makes the next matching requests fail, e.g. to test retries:
+ *
+ *   server.fail({status: 429, headers: {'retry-after': '1'}})
+ *   server.fail({status: 503, times: 2, path: /\/query/})
+ *
+ * @param {object} options - status (default 500), times (default 1), path (string or RegExp matched against
+ *                           the request path), body (default a Fault matching the status), headers
+ */
+MockServer.prototype.fail = function(options) {
+  var status = (options && options.status) || 500
+  this.failures.push(_.defaults({}, options, {
+    status: status,
+    times:  1,
+    body:   status === 429 ? fault(429, '003001', 'message=ThrottleExceeded; errorCode=003001; statusCode=429',
+                                   'Request has exceeded the throttle limit', 'SERVICE').body :
+            status === 401 ? fault(401, '003200', 'message=AuthenticationFailed; errorCode=003200; statusCode=401',
+                                   'Authentication failed', 'AUTHENTICATION').body :
+                             fault(status, 10000, 'An application error has occurred while processing your request',
+                                   'System Failure Error: Internal server error', 'SystemFault').body
+  }))
+  return this
+}
+
+MockServer.prototype.takeFailure = function(path) {
+  var failure = _.find(this.failures, function(f) {
+    return ! f.path || (_.isRegExp(f.path) ? f.path.test(path) : path.indexOf(f.path) >= 0)
+  })
+  if (! failure) return null
+  if (--failure.times <= 0) this.failures = _.without(this.failures, failure)
+  return new Reply(failure.status, failure.body, failure.headers)
+}
+
+MockServer.prototype.handle = function(req, res) {
+  var self = this, chunks = []
+  req.on('data', function(chunk) { chunks.push(chunk) })
+  req.on('end', function() {
+    var parsed = url.parse(req.url, true),
+        raw    = Buffer.concat(chunks).toString('utf8'),
+        reply
+    var record = {method: req.method, path: parsed.pathname, query: parsed.query, headers: req.headers, body: null}
+    self.requests.push(record)
+    try {
+      if (raw) {
+        try {
+          record.body = JSON.parse(raw)
+        } catch (e) {
+          throw fault(400, 2500, 'Invalid Reference Id', 'Request has invalid or unsupported property')
+        }
+      }
+      reply = self.takeFailure(parsed.pathname) || self.route(req, parsed, record.body)
+    } catch (e) {
+      if (! (e instanceof Reply)) {
+        e = fault(500, 10000, 'An application error has occurred while processing your request',
+                  String(e && e.message), 'SystemFault')
+      }
+      reply = e
+    }
+    self.send(res, reply)
+  })
+}
+
+MockServer.prototype.send = function(res, reply) {
+  var headers = _.extend({intuit_tid: crypto.randomBytes(12).toString('hex')}, reply.headers),
+      body    = reply.body
+  if (Buffer.isBuffer(body)) {
+    headers['Content-Type'] = headers['Content-Type'] || 'application/pdf'
+  } else {
+    headers['Content-Type'] = 'application/json;charset=UTF-8'
+    body = JSON.stringify(body)
+  }
+  res.writeHead(reply.status, headers)
+  res.end(body)
+}
+
+MockServer.prototype.route = function(req, parsed, body) {
+  var path = parsed.pathname, match
+  if (! req.headers.authorization) {
+    return path.indexOf('/quickbooks/v4/payments') === 0 ?
+      paymentsError(401, 'PMT-1000', 'Authentication failed', 'Authorization header', 'authentication_error') :
+      fault(401, '003200', 'message=AuthenticationFailed; errorCode=003200; statusCode=401',
+            'Authentication failed', 'AUTHENTICATION')
+  }
+  if ((match = path.match(/^\/v3\/company\/([^\/]+)\/(.+)$/))) {
+    return this.accounting(req.method, this.realm(match[1]), match[1], match[2].split('/'), parsed.query, body)
+  }
+  if ((match = path.match(/^\/quickbooks\/v4\/payments\/(.+)$/))) {
+    return this.payment(req.method, match[1].split('/'), body, req.headers)
+  }
+  return fault(404, 404, 'Not Found', 'No API at ' + path)
+}
+
+// **********************  Accounting **********************
+
+// The API name of an entity given in any case, e.g. 'journalentry' gives 'JournalEntry'
+function canonicalName(name) {
+  return _.find(ENTITIES, function(e) { return e.toLowerCase() === String(name).toLowerCase() })
+}
+
+function requireEntity(name) {
+  var entityName = canonicalName(name)
+  if (! entityName) throw fault(400, 4001, 'Invalid Request', 'Unsupported entity ' + name)
+  return entityName
+}
+
+function checkName(realm, entityName, entity) {
+  var field = NAME_FIELDS[entityName], name = field && entity[field]
+  if (! name) return
+  var duplicate = _.find(realm.entities[entityName] || {}, function(other) {
+    return other.Id !== entity.Id && String(other[field]).toLowerCase() === String(name).toLowerCase()
+  })
+  if (duplicate) {
+    throw fault(400, 6240, 'Duplicate Name Exists Error',
+                'The name supplied already exists. : Id=' + duplicate.Id, 'ValidationFault')
+  }
+}
+
+// Totals of transactions are derived from their lines, as QuickBooks does
+function computeTotals(entityName, entity) {
+  if (! _.isArray(entity.Line)) return
+  entity.TotalAmt = _.reduce(entity.Line, function(sum, line) {
+    return line.DetailType === 'SubTotalLineDetail' ? sum : sum + (Number(line.Amount) || 0)
+  }, 0)
+  if (_.contains(BALANCE_ENTITIES, entityName) && _.isUndefined(entity.Balance)) entity.Balance = entity.TotalAmt
+}
+
+function find(realm, entityName, id) {
+  var entity = (realm.entities[entityName] || {})[id]
+  if (! entity) throw notFound(entityName, id)
+  return entity
+}
+
+function checkSyncToken(realm, entityName, entity) {
+  if (! entity || ! entity.Id) {
+    throw fault(400, 2020, 'Required param missing, need to supply the required value for the API',
+                'Required parameter Id is missing in the request', 'ValidationFault', 'Id')
+  }
+  var current = find(realm, entityName, entity.Id)
+  if (String(entity.SyncToken) !== current.SyncToken) throw staleObject(entity)
+  return current
+}
+
+function createEntity(realm, entityName, entity) {
+  if (! _.isObject(entity)) throw fault(400, 2500, 'Invalid Reference Id', 'Request has no ' + entityName)
+  var time    = now(),
+      created = _.extend(clone(entity), {
+        Id:        String(realm.nextId),
+        SyncToken: '0',
+        domain:    'QBO',
+        sparse:    false,
+        MetaData:  {CreateTime: time, LastUpdatedTime: time}
+      })
+  checkName(realm, entityName, created)
+  computeTotals(entityName, created)
+  realm.nextId++
+  realm.entities[entityName] = realm.entities[entityName] || {}
+  realm.entities[entityName][created.Id] = created
+  return created
+}
+
+function updateEntity(realm, entityName, entity) {
+  var current = checkSyncToken(realm, entityName, entity),
+      updated = entity.sparse ? _.extend(clone(current), clone(entity)) : clone(entity)
+  _.extend(updated, {
+    Id:        current.Id,
+    SyncToken: String(Number(current.SyncToken) + 1),
+    domain:    'QBO',
+    sparse:    false,
+    MetaData:  {CreateTime: current.MetaData.CreateTime, LastUpdatedTime: now()}
+  })
+  checkName(realm, entityName, updated)
+  computeTotals(entityName, updated)
+  realm.entities[entityName][current.Id] = updated
+  return updated
+}
+
+function deleteEntity(realm, entityName, entity) {
+  var current = checkSyncToken(realm, entityName, entity), time = now()
+  delete realm.entities[entityName][current.Id]
+  realm.deleted.push({entityName: entityName, Id: current.Id, time: time})
+  return {domain: 'QBO', status: 'Deleted', Id: current.Id}
+}
+
+var OPERATIONS = {create: createEntity, update: updateEntity, delete: deleteEntity}
+
+function runQuery(realm, sql) {
+  var query = parseQuery(sql), entityName = canonicalName(query.entity)
+  if (! entityName) {
+    throw fault(400, 4001, 'Invalid query', 'QueryValidationError: Invalid context declaration : ' + query.entity)
+  }
+  var results = _.filter(_.values(realm.entities[entityName] || {}), function(entity) {
+    return _.every(query.conditions, function(c) { return matches(entity, c) })
+  })
+  if (query.count) return {totalCount: results.length}
+  results.sort(function(a, b) {
+    for (var i = 0; i < query.ordering.length; i++) {
+      var o = query.ordering[i], diff = compare(fieldValue(a, o.field), fieldValue(b, o.field))
+      if (diff) return o.desc ? -diff : diff
+    }
+    return Number(a.Id) - Number(b.Id)
+  })
+  var start = Math.max(query.startPosition || 1, 1),
+      size  = Math.min(query.maxResults || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+      page  = results.slice(start - 1, start - 1 + size)
+  if (! page.length) return {}
+  var response = {startPosition: start, maxResults: page.length}
+  response[entityName] = _.map(page, function(entity) {
+    if (! query.fields.length) return clone(entity)
+    return _.extend(_.pick(clone(entity), query.fields), {domain: 'QBO', sparse: true})
+  })
+  return response
+}
+
+MockServer.prototype.accounting = function(method, realm, realmId, parts, query, body) {
+  var resource = parts[0].toLowerCase(), time = now(), entityName, result
+  var wrap = function(name, value) {
+    var response = {time: time}
+    response[name] = value
+    return new Reply(200, response)
+  }
+  if (resource === 'query' && method === 'GET') {
+    return wrap('QueryResponse', runQuery(realm, query.query))
+  }
+  if (resource === 'batch' && method === 'POST') {
+    return wrap('BatchItemResponse', runBatch(realm, body && body.BatchItemRequest))
+  }
+  if (resource === 'cdc' && method === 'GET') {
+    return wrap('CDCResponse', changes(realm, query.entities, query.changedSince))
+  }
+  if (resource === 'reports' && method === 'GET' && parts[1]) {
+    return new Reply(200, this.report(parts[1], query, realmId))
+  }
+  entityName = requireEntity(resource)
+  if (method === 'GET' && parts.length === 2) {
+    return wrap(entityName, clone(find(realm, entityName, parts[1])))
+  }
+  if (method === 'GET' && parts.length === 3 && parts[2] === 'pdf') {
+    find(realm, entityName, parts[1])
+    return new Reply(200, Buffer.from('%PDF-1.4\n% ' + entityName + ' ' + parts[1] + '\n%%EOF\n'))
+  }
+  if (method === 'POST' && parts.length === 3 && parts[2] === 'send') {
+    var sent = clone(find(realm, entityName, parts[1]))
+    sent.EmailStatus  = 'EmailSent'
+    sent.DeliveryInfo = {DeliveryType: 'Email', DeliveryTime: time}
+    if (query.sendTo) sent.BillEmail = {Address: query.sendTo}
+    return wrap(entityName, updateEntity(realm, entityName, _.extend(sent, {sparse: true})))
+  }
+  if (method === 'POST' && parts.length === 1) {
+    var operation = query.operation || 'create'
+    if (! _.contains(['create', 'update', 'delete'], operation)) {
+      throw fault(400, 4001, 'Invalid Request', 'Unsupported operation ' + operation)
+    }
+    result = OPERATIONS[operation](realm, entityName, body && (body[entityName] || body))
+    return wrap(entityName, clone(result))
+  }
+  throw fault(400, 4001, 'Invalid Request', 'Unsupported operation ' + method + ' ' + parts.join('/'))
+}
+
+function runBatch(realm, items) {
+  if (! _.isArray(items) || ! items.length) {
+    throw fault(400, 2020, 'Required param missing, need to supply the required value for the API',
+                'Required parameter BatchItemRequest is missing in the request')
+  }
+  if (items.length > batch.MAX_ITEMS) {
+    throw fault(400, 4001, 'Invalid Request', 'Maximum number of batch items is ' + batch.MAX_ITEMS)
+  }
+  return _.map(items, function(item) {
+    var response = {bId: item.bId}
+    try {
+      if (item.Query) {
+        response.QueryResponse = runQuery(realm, item.Query)
+      } else {
+        var key        = _.find(_.keys(item), function(k) { return canonicalName(k) }),
+            entityName = requireEntity(key),
+            operation  = item.operation || 'create'
+        if (! _.contains(['create', 'update', 'delete'], operation)) {
+          throw fault(400, 4001, 'Invalid Request', 'Unsupported operation ' + operation)
+        }
+        response[entityName] = clone(OPERATIONS[operation](realm, entityName, item[key]))
+      }
+    } catch (e) {
+      if (! (e instanceof Reply)) throw e
+      response.Fault = e.body.Fault
+    }
+    return response
+  })
+}
+
+function changes(realm, entities, changedSince) {
+  if (! entities || ! changedSince || ! moment(changedSince).isValid()) {
+    throw fault(400, 2020, 'Required param missing, need to supply the required value for the API',
+                'Required parameters entities and changedSince are missing in the request')
+  }
+  if (moment(changedSince).isBefore(moment().subtract(CDC_LOOKBACK_DAYS, 'days'))) {
+    throw fault(400, 4000, 'Invalid CDC request',
+                'changedSince cannot be more than ' + CDC_LOOKBACK_DAYS + ' days in the past')
+  }
+  var since = moment(changedSince)
+  var changed = function(time) { return ! moment(time).isBefore(since) }
+  return [{QueryResponse: _.map(String(entities).split(','), function(name) {
+    var entityName = requireEntity(name.trim()),
+        list = _.filter(_.values(realm.entities[entityName] || {}), function(entity) {
+          return changed(entity.MetaData.LastUpdatedTime)
+        })
+    _.each(realm.deleted, function(d) {
+      if (d.entityName === entityName && changed(d.time)) {
+        list.push({domain: 'QBO', status: 'Deleted', Id: d.Id, MetaData: {LastUpdatedTime: d.time}})
+      }
+    })
+    if (! list.length) return {}
+    var response = {startPosition: 1, maxResults: list.length}
+    response[entityName] = clone(_.sortBy(list, function(e) { return moment(e.MetaData.LastUpdatedTime).valueOf() }))
+    return response
+  })}]
+}
+
+MockServer.prototype.report = function(reportName, query, realmId) {
+  var report = this.reports[reportName.toLowerCase()]
+  if (_.isFunction(report)) report = report(query, realmId)
+  if (report) return clone(report)
+  return {
+    Header: {
+      Time:        now(),
+      ReportName:  reportName,
+      StartPeriod: query.start_date || moment().startOf('year').format('YYYY-MM-DD'),
+      EndPeriod:   query.end_date || moment().format('YYYY-MM-DD'),
+      Currency:    'USD',
+      Option:      [{Name: 'NoReportData', Value: 'true'}]
+    },
+    Columns: {Column: [{ColTitle: '', ColType: 'Account'}, {ColTitle: 'Total', ColType: 'Money'}]},
+    Rows: {}
+  }
+}
+
+// **********************  Payments **********************
+
+function luhn(number) {
+  var sum = 0
+  _.each(number.split('').reverse(), function(d, i) {
+    var n = Number(d) * (i % 2 ? 2 : 1)
+    sum += n > 9 ? n - 9 : n
+  })
+  return sum % 10 === 0
+}
+
+function paymentId(prefix) {
+  return prefix + crypto.randomBytes(6).toString('hex').toUpperCase()
+}
+
+function checkCard(card) {
+  var number = String((card && card.number) || '').replace(/\s/g, '')
+  if (! /^\d{12,19}$/.test(number) || ! luhn(number)) {
+    throw paymentsError(400, 'PMT-4000', 'card.number is invalid.', 'card.number')
+  }
+  if (! card.expMonth || ! card.expYear) {
+    throw paymentsError(400, 'PMT-4000', 'card.expMonth is invalid.', 'card.expMonth')
+  }
+  return _.extend(_.omit(clone(card), 'cvc'), {
+    number:   new Array(number.length - 3).join('x') + number.slice(-4),
+    cardType: {3: 'AmericanExpress', 4: 'Visa', 5: 'MasterCard', 6: 'Discover'}[number.charAt(0)] || 'Unknown'
+  })
+}
+
+function checkAmount(amount, max) {
+  var n = Number(amount)
+  if (! isNumeric(amount) || n <= 0 || (max !== undefined && n > max + 1e-9)) {
+    throw paymentsError(400, 'PMT-4000', 'amount is invalid.', 'amount')
+  }
+  return n
+}
+
+MockServer.prototype.payment = function(method, parts, body, headers) {
+  var self = this, key = method + ' ' + parts.join('/') + ' ' + headers['request-id']
+  // Intuit deduplicates Payments requests by Request-Id, so a retried charge is not repeated
+  if (headers['request-id'] && this.payments.requestIds[key]) return this.payments.requestIds[key]
+  var reply
+  try {
+    reply = new Reply(200, this.paymentOperation(method, parts, body || {}))
+  } catch (e) {
+    if (! (e instanceof Reply)) throw e
+    reply = e
+  }
+  if (headers['request-id'] && method === 'POST') this.payments.requestIds[key] = reply
+  return reply
+}
+
+MockServer.prototype.paymentOperation = function(method, parts, body) {
+  var payments = this.payments, time = moment().toISOString(), charge
+  var findCharge = function(id) {
+    var found = payments.charges[id]
+    if (! found) throw paymentsError(404, 'PMT-4002', 'Charge not found.', 'id')
+    return found
+  }
+  if (parts[0] === 'tokens' && parts.length === 1 && method === 'POST') {
+    var value = crypto.randomBytes(16).toString('hex')
+    payments.tokens[value] = checkCard(body.card)
+    return {value: value}
+  }
+  if (parts[0] !== 'charges') throw paymentsError(404, 'PMT-4004', 'Resource not found.', parts.join('/'))
+  if (parts.length === 1 && method === 'POST') {
+    var amount = checkAmount(body.amount), card
+    if (! body.currency) throw paymentsError(400, 'PMT-4000', 'currency is invalid.', 'currency')
+    if (body.token) {
+      card = payments.tokens[body.token]
+      if (! card) throw paymentsError(400, 'PMT-4000', 'token is invalid.', 'token')
+      delete payments.tokens[body.token]
+    } else {
+      card = checkCard(body.card)
+    }
+    charge = {
+      id:       paymentId('E'),
+      created:  time,
+      status:   body.capture === true || body.capture === 'true' ? 'CAPTURED' : 'AUTHORIZED',
+      amount:   amount,
+      currency: body.currency,
+      card:     card,
+      capture:  body.capture === true || body.capture === 'true',
+      authCode: String(100000 + crypto.randomBytes(2).readUInt16BE(0)),
+      context:  body.context || {mobile: false, isEcommerce: true},
+      refundDetail: []
+    }
+    payments.charges[charge.id] = charge
+    return clone(charge)
+  }
+  charge = findCharge(parts[1])
+  if (parts.length === 2 && method === 'GET') return clone(charge)
+  if (parts.length === 3 && parts[2] === 'capture' && method === 'POST') {
+    if (charge.status !== 'AUTHORIZED') {
+      throw paymentsError(400, 'PMT-4000', 'Charge is not in an authorized state.', 'status')
+    }
+    charge.captureDetail = {
+      amount:  checkAmount(body.amount, charge.amount),
+      created: time,
+      context: body.context || charge.context
+    }
+    charge.status  = 'CAPTURED'
+    charge.capture = true
+    return clone(charge)
+  }
+  if (parts[2] === 'refunds') {
+    if (parts.length === 4 && method === 'GET') {
+      var found = _.findWhere(charge.refundDetail, {id: parts[3]})
+      if (! found) throw paymentsError(404, 'PMT-4002', 'Refund not found.', 'id')
+      return clone(found)
+    }
+    if (parts.length === 3 && method === 'POST') {
+      if (charge.status !== 'CAPTURED' && charge.status !== 'SETTLED') {
+        throw paymentsError(400, 'PMT-4000', 'Charge is not in a captured state.', 'status')
+      }
+      var refunded = _.reduce(charge.refundDetail, function(sum, r) { return sum + r.amount }, 0),
+          refund   = {
+            id:          paymentId('E'),
+            created:     time,
+            status:      'ISSUED',
+            amount:      checkAmount(body.amount, charge.amount - refunded),
+            description: body.description,
+            context:     body.context || charge.context
+          }
+      charge.refundDetail.push(refund)
+      if (refunded + refund.amount >= charge.amount) charge.status = 'REFUNDED'
+      return clone(refund)
+    }
+  }
+  throw paymentsError(404, 'PMT-4004', 'Resource not found.', parts.join('/'))
+}
+
+module.exports = MockServer
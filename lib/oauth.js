@@ -0,0 +1,74 @@
+/**
+ * @file OAuth 1.0a signing of API requests
+ * @name node-quickbooks/oauth
+ * @license ISC
+ */
+
+var crypto = require('crypto'),
+    url    = require('url'),
+    _      = require('underscore')
+
+/**
+ * Percent-encodes a value as required by RFC 3986 and the OAuth signature base string.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function encode(value) {
+  return encodeURIComponent(value === null || _.isUndefined(value) ? '' : value).replace(/[!'()*]/g, function(c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase()
+  })
+}
+
+function baseUrl(parsed) {
+  var port = parsed.port && ! ((parsed.protocol === 'http:' && parsed.port === '80') ||
+                               (parsed.protocol === 'https:' && parsed.port === '443')) ? ':' + parsed.port : ''
+  return parsed.protocol.toLowerCase() + '//' + parsed.hostname.toLowerCase() + port + parsed.pathname
+}
+
+/**
+ * Computes the HMAC-SHA1 signed Authorization header of a request. Query parameters of the url are signed,
+ * JSON bodies are not.
+ *
+ * @param {string} method - http verb, e.g. 'GET'
+ * @param {string} requestUrl - absolute url, including the query string
+ * @param {object} credentials - consumerKey, consumerSecret, and token and tokenSecret once authorized
+ * @param {object} params - (Optional) extra protocol parameters, e.g. oauth_callback or oauth_verifier
+ * @returns {string} - value of the Authorization header
+ */
+function authorization(method, requestUrl, credentials, params) {
+  var parsed = url.parse(requestUrl, true),
+      oauth  = _.extend({
+        oauth_consumer_key:     credentials.consumerKey,
+        oauth_nonce:            crypto.randomBytes(16).toString('hex'),
+        oauth_signature_method: 'HMAC-SHA1',
+        oauth_timestamp:        String(Math.floor(Date.now() / 1000)),
+        oauth_version:          '1.0'
+      }, credentials.token ? {oauth_token: credentials.token} : {}, params),
+      pairs  = []
+  _.each([parsed.query, oauth], function(source) {
+    _.each(source, function(value, key) {
+      _.each(_.isArray(value) ? value : [value], function(v) {
+        pairs.push([encode(key), encode(v)])
+      })
+    })
+  })
+  pairs.sort(function(a, b) {
+    return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0
+  })
+  var signatureBase = [
+    method.toUpperCase(),
+    encode(baseUrl(parsed)),
+    encode(_.map(pairs, function(p) { return p[0] + '=' + p[1] }).join('&'))
+  ].join('&')
+  var key = encode(credentials.consumerSecret) + '&' + encode(credentials.tokenSecret)
+  oauth.oauth_signature = crypto.createHmac('sha1', key).update(signatureBase).digest('base64')
+  return 'OAuth ' + _.map(_.keys(oauth).sort(), function(name) {
+    return encode(name) + '="' + encode(oauth[name]) + '"'
+  }).join(',')
+}
+
+module.exports = {
+  encode:        encode,
+  authorization: authorization
+}
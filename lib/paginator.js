@@ -0,0 +1,117 @@
+/**
+ * @file Walks the startposition pages of a QuickBooks query until the result set runs out
+ * @name node-quickbooks/paginator
+ * @license ISC
+ */
+
+var stream = require('stream'),
+    _      = require('underscore')
+
+/**
+ * Fetches successive pages on demand. Pages are only requested as they are consumed, so a caller
+ * that stops reading stops the paging.
+ *
+ * @param {function} fetch - function(startPosition, maxResults, callback) calling back with any error and the entities of one page
+ * @param {number} startPosition - 1-based position of the first entity to fetch
+ * @param {number} pageSize - maximum number of entities per page
+ * @constructor
+ */
+function Paginator(fetch, startPosition, pageSize) {
+  this.fetch    = fetch
+  this.position = startPosition
+  this.pageSize = pageSize
+  this.done     = false
+}
+
+/**
+ * Fetches the next page.
+ *
+ * @param {function} callback - Callback function which is called with any error and the entities of the page, or null once there are no more
+ */
+Paginator.prototype.nextPage = function(callback) {
+  var self = this
+  if (this.done) return setImmediate(function() { callback(null, null) })
+  this.fetch(this.position, this.pageSize, function(err, entities) {
+    if (err) {
+      self.done = true
+      return callback(err)
+    }
+    entities = entities || []
+    self.position += entities.length
+    if (entities.length < self.pageSize) self.done = true
+    callback(null, entities.length ? entities : null)
+  })
+}
+
+/**
+ * Fetches every page and calls back with the concatenated entities.
+ *
+ * @param {function} callback - Callback function which is called with any error and the list of all entities
+ */
+Paginator.prototype.all = function(callback) {
+  var self = this, all = []
+  var next = function() {
+    self.nextPage(function(err, entities) {
+      if (err) return callback(err)
+      if (! entities) return callback(null, all)
+      all.push.apply(all, entities)
+      next()
+    })
+  }
+  next()
+}
+
+/**
+ * Returns an async iterator yielding one entity at a time, for use with `for await`.
+ *
+ * @returns {object}
+ */
+Paginator.prototype.iterator = function() {
+  var self = this, buffer = []
+  var iterator = {
+    next: function() {
+      if (buffer.length) return Promise.resolve({value: buffer.shift(), done: false})
+      return new Promise(function(resolve, reject) {
+        self.nextPage(function(err, entities) {
+          if (err) return reject(err)
+          if (! entities) return resolve({value: undefined, done: true})
+          buffer = entities
+          iterator.next().then(resolve, reject)
+        })
+      })
+    },
+    return: function(value) {
+      self.done = true
+      buffer = []
+      return Promise.resolve({value: value, done: true})
+    }
+  }
+  if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function() { return iterator }
+  }
+  return iterator
+}
+
+/**
+ * Returns an object mode Readable stream emitting one entity at a time.
+ *
+ * @returns {stream.Readable}
+ */
+Paginator.prototype.stream = function() {
+  var self = this, reading = false
+  var readable = new stream.Readable({objectMode: true})
+  readable._read = function() {
+    if (reading) return
+    reading = true
+    self.nextPage(function(err, entities) {
+      reading = false
+      if (err) return readable.emit('error', err)
+      if (! entities) return readable.push(null)
+      _.each(entities, function(entity) { readable.push(entity) })
+    })
+  }
+  readable.on('close', function() { self.done = true })
+  return readable
+}
+
+module.exports = Paginator
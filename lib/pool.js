@@ -0,0 +1,164 @@
+/**
+ * @file Pool of QuickBooks clients for many companies, created from credentials kept in a pluggable store
+ * @name node-quickbooks/pool
+ * @license ISC
+ *
+ * A credential store is any store (see lib/store.js) holding, under the key prefix + realmId, the access token
+ * of each company as {token, tokenSecret, realmId, createdAt, expiresAt}, e.g. as returned by getAccessToken.
+ * QuickBooks.EncryptedFileStore keeps them encrypted at rest.
+ */
+
+var EventEmitter = require('events').EventEmitter,
+    util         = require('util'),
+    _            = require('underscore'),
+    errors       = require('./errors'),
+    connect      = require('./connect'),
+    MemoryStore  = require('./store').MemoryStore
+
+var CREDENTIAL_FIELDS = ['token', 'tokenSecret', 'realmId', 'createdAt', 'expiresAt', 'dataSource']
+
+/**
+ * Hands out one cached QuickBooks client per realmId. Clients of the same realm share its rate limit queue
+ * (see QuickBooks.Scheduler), whichever pool or code created them. When a client renews its token with
+ * reconnect, the new credentials are saved to the store. Emits:
+ *
+ *   'tokenRenewed'  - (realmId, credentials) after renewed credentials were saved
+ *   'tokenRejected' - (err, {realmId, expired}) when Intuit no longer accepts the token of a client
+ *   'error'         - (err) when saving renewed credentials failed
+ *
+ * @param {object} options - consumerKey and consumerSecret (required), store (default MemoryStore), prefix of
+ *                           the store keys (default 'credentials:') and quickbooks, the options of the clients,
+ *                           e.g. useSandbox, retry or rateLimit
+ * @constructor
+ */
+function ClientPool(options) {
+  EventEmitter.call(this)
+  options = options || {}
+  if (! options.consumerKey || ! options.consumerSecret) {
+    throw new TypeError('ClientPool requires a consumerKey and a consumerSecret')
+  }
+  this.consumerKey    = options.consumerKey
+  this.consumerSecret = options.consumerSecret
+  this.store          = options.store || new MemoryStore()
+  this.prefix         = _.isUndefined(options.prefix) ? 'credentials:' : options.prefix
+  this.settings       = options.quickbooks || {}
+  this.clients        = {}
+  this.loading        = {}
+}
+util.inherits(ClientPool, EventEmitter)
+
+/**
+ * Calls back with the client of the company, creating it from the stored credentials on first use. Fails with a
+ * QuickBooksError with code 'not_connected' when no credentials are stored for the realm, and with the TypeError
+ * of the QuickBooks constructor when the stored credentials or the client options are invalid.
+ *
+ * @param {string} realmId
+ * @param {function} callback - called with any error and the QuickBooks client
+ */
+ClientPool.prototype.get = function(realmId, callback) {
+  var self = this
+  if (this.clients[realmId]) {
+    var client = this.clients[realmId]
+    return setImmediate(function() { callback(null, client) })
+  }
+  // concurrent first uses share one read of the store
+  if (this.loading[realmId]) return this.loading[realmId].push(callback)
+  this.loading[realmId] = [callback]
+  this.store.get(this.prefix + realmId, function(err, credentials) {
+    var callbacks = self.loading[realmId], client
+    delete self.loading[realmId]
+    if (! err && ! credentials) {
+      err = new errors.QuickBooksError('No credentials are stored for realm ' + realmId, {code: 'not_connected'})
+    }
+    if (! err) {
+      try {
+        client = self.clients[realmId] || self.create(realmId, credentials)
+      } catch (e) {
+        err = e
+      }
+    }
+    _.each(callbacks, function(cb) { cb(err || null, client) })
+  })
+}
+
+/**
+ * Stores the credentials of a company, e.g. after it was connected or its token renewed elsewhere, and switches
+ * its cached client to them.
+ *
+ * @param {string} realmId
+ * @param {object} credentials - token and tokenSecret (required), createdAt, expiresAt and dataSource
+ * @param {function} callback - called with any error
+ */
+ClientPool.prototype.set = function(realmId, credentials, callback) {
+  if (! credentials || ! credentials.token || ! credentials.tokenSecret) {
+    throw new TypeError('credentials must have a token and a tokenSecret')
+  }
+  var self = this,
+      saved = _.extend(_.pick(credentials, CREDENTIAL_FIELDS), {realmId: String(realmId)})
+  this.store.set(this.prefix + realmId, saved, function(err) {
+    if (! err && self.clients[realmId]) self.swap(self.clients[realmId], saved)
+    callback(err || null)
+  })
+}
+
+/**
+ * Forgets a company, e.g. after it was disconnected: deletes its credentials and drops its cached client.
+ *
+ * @param {string} realmId
+ * @param {function} callback - called with any error
+ */
+ClientPool.prototype.delete = function(realmId, callback) {
+  delete this.clients[realmId]
+  this.store.delete(this.prefix + realmId, function(err) {
+    callback(err || null)
+  })
+}
+
+/**
+ * The clients created so far, e.g. to pass to QuickBooks.dueForRenewal.
+ *
+ * @returns {Array}
+ */
+ClientPool.prototype.cached = function() {
+  return _.values(this.clients)
+}
+
+ClientPool.prototype.create = function(realmId, credentials) {
+  var self = this,
+      QuickBooks = require('../index'),
+      client = new QuickBooks(_.extend({}, this.settings, {
+        consumerKey:    this.consumerKey,
+        consumerSecret: this.consumerSecret,
+        token:          credentials.token,
+        tokenSecret:    credentials.tokenSecret,
+        realmId:        String(realmId),
+        tokenCreatedAt: credentials.createdAt,
+        tokenExpiresAt: credentials.expiresAt,
+        // a company missing credentials must not pick up those of the process from QBO_TOKEN and the like
+        env:            false
+      }))
+  client.on('tokenRenewed', function(accessToken) {
+    var saved = _.extend({}, credentials, _.pick(accessToken, CREDENTIAL_FIELDS), {realmId: String(realmId)})
+    self.store.set(self.prefix + realmId, saved, function(err) {
+      if (err) return self.emit('error', err)
+      credentials = saved
+      self.emit('tokenRenewed', String(realmId), saved)
+    })
+  })
+  client.on('tokenRejected', function(err, connection) {
+    self.emit('tokenRejected', err, connection)
+  })
+  this.clients[realmId] = client
+  return client
+}
+
+ClientPool.prototype.swap = function(client, credentials) {
+  client.token          = credentials.token
+  client.tokenSecret    = credentials.tokenSecret
+  client.tokenCreatedAt = credentials.createdAt ? new Date(credentials.createdAt) : undefined
+  client.tokenExpiresAt = credentials.expiresAt ? new Date(credentials.expiresAt) :
+                          client.tokenCreatedAt ? new Date(client.tokenCreatedAt.getTime() + connect.ACCESS_TOKEN_LIFETIME) :
+                                                  undefined
+}
+
+module.exports = ClientPool
@@ -0,0 +1,220 @@
+/**
+ * @file Fluent builder compiling to the QuickBooks V3 query language
+ * @name node-quickbooks/query
+ * @license ISC
+ */
+
+var moment = require('moment'),
+    _      = require('underscore')
+
+// The operators of the QuickBooks query language, whose conditions can only be joined with `and`
+var OPERATORS = ['=', '<', '>', '<=', '>=', 'IN', 'LIKE']
+
+/**
+ * Builds a query statement such as
+ * `select Id, TotalAmt from Invoice where Balance > 0 and CustomerRef in ('1', '2') orderby TxnDate desc maxresults 100`
+ *
+ * @param {string} entityName - The QuickBooks entity to query, e.g. 'Invoice'
+ * @param {function} executor - (Optional) function(query, callback) used by exec to run the query
+ * @constructor
+ */
+function Query(entityName, executor) {
+  this.entityName = entityName
+  this.executor   = executor
+  this.fields     = []
+  this.counting   = false
+  this.conditions = []
+  this.ordering   = []
+  this.startPosition = undefined
+  this.maxResults    = undefined
+}
+
+/**
+ * Quotes a string literal, escaping backslashes and apostrophes, e.g. O'Brien becomes 'O\'Brien'.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+Query.quote = function(value) {
+  return "'" + String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'"
+}
+
+/**
+ * Renders a literal value: strings are quoted, numbers and booleans are not, Dates become quoted ISO 8601
+ * date-times and arrays become a parenthesised list.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+Query.formatValue = function(value) {
+  if (_.isArray(value)) {
+    return '(' + _.map(value, Query.formatValue).join(', ') + ')'
+  }
+  if (_.isDate(value) || moment.isMoment(value)) {
+    return Query.quote(moment(value).format())
+  }
+  if (_.isNumber(value)) {
+    if (! isFinite(value)) throw new Error('Invalid number in query: ' + value)
+    return String(value)
+  }
+  if (_.isBoolean(value)) {
+    return String(value)
+  }
+  return Query.quote(value)
+}
+
+/**
+ * URL encodes a complete query statement for use as the query parameter of the query endpoint.
+ *
+ * @param {string} statement
+ * @returns {string}
+ */
+Query.encode = function(statement) {
+  return encodeURIComponent(statement).replace(/[!'()*]/g, function(c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase()
+  })
+}
+
+/**
+ * Restricts the columns returned, e.g. select('Id', 'TotalAmt'). All columns are returned by default.
+ */
+Query.prototype.select = function() {
+  this.fields = this.fields.concat(_.flatten(_.toArray(arguments)))
+  return this
+}
+
+/**
+ * Returns the row count rather than the rows, i.e. `select count(*)`.
+ */
+Query.prototype.count = function() {
+  this.counting = true
+  return this
+}
+
+/**
+ * Adds a condition joined with `and`. Called as where(field, value) the operator defaults to '='. QuickBooks has
+ * no `or` and no parentheses, so conditions cannot be grouped.
+ *
+ * @param {string} field - column name
+ * @param {string} operator - one of =, <, >, <=, >=, IN or LIKE
+ * @param {*} value - literal value, or array of values for IN
+ */
+Query.prototype.where = function(field, operator, value) {
+  if (! _.isString(field)) {
+    throw new Error('Unsupported query condition: the QuickBooks query language has no or conditions or groups')
+  }
+  if (arguments.length === 2) {
+    value    = operator
+    operator = '='
+  }
+  operator = operator.toUpperCase()
+  if (! _.contains(OPERATORS, operator)) {
+    throw new Error('Unsupported query operator: ' + operator)
+  }
+  this.conditions.push({field: field, operator: operator, value: value})
+  return this
+}
+
+Query.prototype.andWhere = Query.prototype.where
+
+/**
+ * Adds an `IN` condition for the list of values.
+ */
+Query.prototype.in = function(field, values) {
+  return this.where(field, 'IN', values)
+}
+
+/**
+ * Adds a `LIKE` condition, e.g. like('DisplayName', 'Acme%').
+ */
+Query.prototype.like = function(field, pattern) {
+  return this.where(field, 'LIKE', pattern)
+}
+
+/**
+ * Sorts on the field. May be called repeatedly to sort on several fields.
+ *
+ * @param {string} field - column name
+ * @param {string} direction - (Optional) 'asc' (the default) or 'desc'
+ */
+Query.prototype.orderBy = function(field, direction) {
+  this.ordering.push(field + ' ' + ((direction || 'asc').toLowerCase() === 'desc' ? 'desc' : 'asc'))
+  return this
+}
+
+/**
+ * Sets the 1-based position of the first row returned.
+ */
+Query.prototype.offset = function(position) {
+  this.startPosition = position
+  return this
+}
+
+/**
+ * Sets the maximum number of rows returned.
+ */
+Query.prototype.limit = function(count) {
+  this.maxResults = count
+  return this
+}
+
+/**
+ * Returns an independent copy of the query, e.g. to page through it without changing the original.
+ *
+ * @returns {Query}
+ */
+Query.prototype.clone = function() {
+  var copy = new Query(this.entityName, this.executor)
+  copy.fields        = this.fields.slice()
+  copy.counting      = this.counting
+  copy.conditions    = this.conditions.slice()
+  copy.ordering      = this.ordering.slice()
+  copy.startPosition = this.startPosition
+  copy.maxResults    = this.maxResults
+  return copy
+}
+
+function renderConditions(conditions) {
+  return _.map(conditions, function(c) {
+    return c.field + ' ' + c.operator + ' ' + Query.formatValue(c.value)
+  }).join(' and ')
+}
+
+/**
+ * Compiles the query statement.
+ *
+ * @returns {string}
+ */
+Query.prototype.toString = function() {
+  var sql = 'select ' + (this.counting ? 'count(*)' : (this.fields.length ? this.fields.join(', ') : '*'))
+  sql += ' from ' + this.entityName
+  if (this.conditions.length) sql += ' where ' + renderConditions(this.conditions)
+  if (this.ordering.length)   sql += ' orderby ' + this.ordering.join(', ')
+  if (this.startPosition)     sql += ' startposition ' + this.startPosition
+  if (this.maxResults)        sql += ' maxresults ' + this.maxResults
+  return sql
+}
+
+// Serialized as the statement, so a Query can be used directly as the Query of a batch item
+Query.prototype.toJSON = Query.prototype.toString
+
+/**
+ * Runs the query, returning a Promise when no callback is given.
+ *
+ * @param {function} callback - (Optional) Callback function which is called with any error and the QueryResponse
+ */
+Query.prototype.exec = function(callback) {
+  var self = this
+  if (! this.executor) throw new Error('Query is not bound to a QuickBooks instance')
+  if (callback) return this.executor(this, callback)
+  return new Promise(function(resolve, reject) {
+    self.executor(self, function(err, data) {
+      if (err) reject(err)
+      else resolve(data)
+    })
+  })
+}
+
+Query.OPERATORS = OPERATORS
+
+module.exports = Query
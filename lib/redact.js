@@ -0,0 +1,82 @@
+/**
+ * @file Redaction of OAuth secrets, card data and bank account numbers from requests and responses
+ * @name node-quickbooks/redact
+ * @license ISC
+ */
+
+var _ = require('underscore')
+
+var REDACTED = '[SCRUBBED]'
+
+// Keys whose values are replaced, wherever they occur in a request or response body
+var SECRET_KEYS = ['cvc', 'token', 'tokensecret', 'oauth_token', 'oauth_token_secret', 'oauthtoken',
+                   'oauthtokensecret', 'access_token', 'refresh_token', 'accesstoken', 'refreshtoken']
+
+// Keys holding card or bank account numbers, which are masked down to their last four digits
+var NUMBER_KEYS = ['number', 'accountnumber', 'cardnumber']
+
+var SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie']
+
+function mask(value) {
+  var digits = String(value).replace(/[\s-]/g, '')
+  if (! /^\d{6,19}$/.test(digits)) return value
+  return new Array(digits.length - 3).join('x') + digits.slice(-4)
+}
+
+/**
+ * Returns a copy of a request or response body with card and bank account numbers masked and tokens, CVCs and
+ * OAuth secrets replaced.
+ *
+ * @param {*} value - body to scrub
+ * @returns {*}
+ */
+function scrub(value) {
+  if (_.isArray(value)) return _.map(value, scrub)
+  if (! _.isObject(value) || Buffer.isBuffer(value)) return value
+  var copy = {}
+  _.each(value, function(v, key) {
+    var lower = key.toLowerCase()
+    if (_.contains(SECRET_KEYS, lower) && (_.isString(v) || _.isNumber(v))) {
+      copy[key] = REDACTED
+    } else if (_.contains(NUMBER_KEYS, lower) && (_.isString(v) || _.isNumber(v))) {
+      copy[key] = mask(v)
+    } else {
+      copy[key] = scrub(v)
+    }
+  })
+  return copy
+}
+
+/**
+ * Scrubs a response body like scrub, and also the card token that is the value of a Payments tokens response.
+ *
+ * @param {string} path - path of the request, e.g. '/tokens'
+ * @param {*} body - response body
+ * @returns {*}
+ */
+function scrubResponse(path, body) {
+  var copy = scrub(body)
+  if (/\/tokens$/.test(path) && copy && copy.value) copy.value = REDACTED
+  return copy
+}
+
+/**
+ * Returns a copy of http headers without the Authorization, Proxy-Authorization and cookie headers.
+ *
+ * @param {object} headers
+ * @returns {object}
+ */
+function scrubHeaders(headers) {
+  var copy = {}
+  _.each(headers, function(value, name) {
+    if (! _.contains(SECRET_HEADERS, name.toLowerCase())) copy[name] = value
+  })
+  return copy
+}
+
+module.exports = {
+  REDACTED:      REDACTED,
+  scrub:         scrub,
+  scrubResponse: scrubResponse,
+  scrubHeaders:  scrubHeaders
+}
@@ -0,0 +1,147 @@
+/**
+ * @file Turns the Header/Columns/Rows tree of a report into typed tables and trees
+ * @name node-quickbooks/report
+ * @license ISC
+ */
+
+var _ = require('underscore')
+
+var NUMERIC_TYPES = ['money', 'amount', 'quantity', 'number', 'numeric', 'double', 'integer', 'percent', 'rate']
+
+/**
+ * Converts a cell value to the type of its column: numbers for money and quantity columns, null for blanks.
+ *
+ * @param {string} value - ColData value
+ * @param {string} type - column type, 'number' or 'string'
+ * @returns {number|string|null}
+ */
+function typed(value, type) {
+  if (_.isUndefined(value) || value === null || value === '') return null
+  if (type === 'number') {
+    var n = Number(String(value).replace(/,/g, ''))
+    return isNaN(n) ? value : n
+  }
+  return value
+}
+
+/**
+ * Describes the columns of a report.
+ *
+ * @param {object} report - report as returned by the report* functions
+ * @returns {Array} - list of {key, title, colType, type}, where type is 'number' or 'string'
+ */
+function columns(report) {
+  var seen = {}
+  return _.map((report && report.Columns && report.Columns.Column) || [], function(column, i) {
+    var meta = _.findWhere(column.MetaData || [], {Name: 'ColKey'}),
+        key  = (meta && meta.Value) || column.ColTitle || 'col' + i
+    if (seen[key]) key += '_' + i
+    seen[key] = true
+    return {
+      key:     key,
+      title:   column.ColTitle || '',
+      colType: column.ColType,
+      type:    _.contains(NUMERIC_TYPES, String(column.ColType || '').toLowerCase()) ? 'number' : 'string'
+    }
+  })
+}
+
+function cells(colData, cols) {
+  var values = {}, ids = {}, list = []
+  _.each(cols, function(col, i) {
+    var cell  = (colData || [])[i] || {},
+        value = typed(cell.value, i === 0 ? 'string' : col.type)
+    values[col.key] = value
+    list.push(value)
+    if (cell.id) ids[col.key] = cell.id
+  })
+  return {values: values, cells: list, ids: ids}
+}
+
+function sectionTitle(row) {
+  var header = row.Header && row.Header.ColData && row.Header.ColData[0]
+  return (header && header.value) || row.group || ''
+}
+
+function makeRow(type, colData, cols, path, row) {
+  return _.extend({
+    type:    type,
+    group:   row.group,
+    depth:   path.length,
+    path:    path,
+    section: path.join(' > '),
+    label:   (colData && colData[0] && colData[0].value) || ''
+  }, cells(colData, cols))
+}
+
+/**
+ * Flattens a report into one list of typed rows.
+ *
+ * Each row is {type, group, depth, path, section, label, values, cells, ids}: type is 'Header', 'Data' or
+ * 'Summary'; path lists the titles of the enclosing sections and section joins them, e.g. 'Income > Sales';
+ * values maps column keys to typed values, cells lists them in column order and ids holds the ids of
+ * referenced entities, e.g. the Account of a row.
+ *
+ * @param {object} report - report as returned by the report* functions
+ * @returns {object} - {header, columns, rows, totals}, totals mapping each group to the values of its Summary row
+ */
+function flatten(report) {
+  var cols = columns(report), rows = [], totals = {}
+  var walk = function(list, path) {
+    _.each(list || [], function(row) {
+      if (row.Rows || row.Header || row.Summary || row.type === 'Section') {
+        var sectionPath = row.Header ? path.concat(sectionTitle(row)) : path
+        if (row.Header) rows.push(makeRow('Header', row.Header.ColData, cols, path, row))
+        walk(row.Rows && row.Rows.Row, sectionPath)
+        if (row.Summary) {
+          var summary = makeRow('Summary', row.Summary.ColData, cols, sectionPath, row)
+          rows.push(summary)
+          if (row.group) totals[row.group] = summary.values
+        }
+      } else {
+        rows.push(makeRow('Data', row.ColData, cols, path, row))
+      }
+    })
+  }
+  walk(report && report.Rows && report.Rows.Row, [])
+  return {header: (report && report.Header) || {}, columns: cols, rows: rows, totals: totals}
+}
+
+/**
+ * Converts a report into a tree that keeps its hierarchy.
+ *
+ * Each node is either a data row, as returned by flatten, or a section
+ * {type: 'Section', title, group, path, header, rows, summary}, whose header and summary are rows and
+ * rows lists its child nodes.
+ *
+ * @param {object} report - report as returned by the report* functions
+ * @returns {object} - {header, columns, rows}
+ */
+function tree(report) {
+  var cols = columns(report)
+  var build = function(list, path) {
+    return _.map(list || [], function(row) {
+      if (row.Rows || row.Header || row.Summary || row.type === 'Section') {
+        var title = sectionTitle(row),
+            sectionPath = row.Header ? path.concat(title) : path
+        return {
+          type:    'Section',
+          title:   title,
+          group:   row.group,
+          path:    sectionPath,
+          header:  row.Header ? makeRow('Header', row.Header.ColData, cols, path, row) : null,
+          rows:    build(row.Rows && row.Rows.Row, sectionPath),
+          summary: row.Summary ? makeRow('Summary', row.Summary.ColData, cols, sectionPath, row) : null
+        }
+      }
+      return makeRow('Data', row.ColData, cols, path, row)
+    })
+  }
+  return {header: (report && report.Header) || {}, columns: cols, rows: build(report && report.Rows && report.Rows.Row, [])}
+}
+
+module.exports = {
+  columns: columns,
+  flatten: flatten,
+  tree:    tree
+}
@@ -0,0 +1,147 @@
+/**
+ * @file Per-realm request scheduler enforcing Intuit's rate and concurrency limits
+ * @name node-quickbooks/scheduler
+ * @license ISC
+ */
+
+var _ = require('underscore')
+
+var WINDOW = 60 * 1000
+
+/**
+ * Queues tasks so that no more than requestsPerMinute are started in any sliding one minute
+ * window, and no more than maxConcurrent are in flight at once.
+ *
+ * @param {object} options - requestsPerMinute and maxConcurrent limits
+ * @constructor
+ */
+function Scheduler(options) {
+  this.queue     = []
+  this.started   = []
+  this.inFlight  = 0
+  this.completed = 0
+  this.totalWait = 0
+  this.maxWait   = 0
+  this.timer     = null
+  this.configure(options)
+}
+
+Scheduler.DEFAULTS = {requestsPerMinute: 500, maxConcurrent: 10}
+
+/**
+ * Updates the limits, e.g. when another QuickBooks instance for the realm is created with different settings.
+ *
+ * @param {object} options - requestsPerMinute and maxConcurrent limits
+ */
+Scheduler.prototype.configure = function(options) {
+  var limits = ['requestsPerMinute', 'maxConcurrent']
+  _.extend(this, _.defaults(_.pick(options || {}, limits), _.pick(this, limits), Scheduler.DEFAULTS))
+  this.drain()
+}
+
+/**
+ * Runs the task as soon as the limits allow. The task is passed a function it must call once its request completes.
+ *
+ * @param {function} task - function(done) issuing a single request
+ */
+Scheduler.prototype.schedule = function(task) {
+  this.queue.push({task: task, queuedAt: Date.now()})
+  this.drain()
+}
+
+Scheduler.prototype.drain = function() {
+  var self = this, now = Date.now()
+  while (this.started.length && this.started[0] <= now - WINDOW) {
+    this.started.shift()
+  }
+  while (this.queue.length && this.inFlight < this.maxConcurrent && this.started.length < this.requestsPerMinute) {
+    var item = this.queue.shift(),
+        wait = now - item.queuedAt
+    this.started.push(now)
+    this.inFlight++
+    this.totalWait += wait
+    this.maxWait = Math.max(this.maxWait, wait)
+    item.task(_.once(function() {
+      self.inFlight--
+      self.completed++
+      self.drain()
+    }))
+  }
+  if (this.queue.length && this.started.length >= this.requestsPerMinute) {
+    this.wake(this.started[0] + WINDOW - now)
+  } else if (! this.queue.length && ! this.inFlight && this.onIdle) {
+    this.wake(this.started.length ? _.last(this.started) + WINDOW - now : 0)
+  } else {
+    this.wake(null)
+  }
+}
+
+// Replaces any pending timer with one that drains the queue again after delay, or calls onIdle then if nothing
+// was started in the last minute. A null delay only cancels the pending timer. The timer does not keep the
+// process running.
+Scheduler.prototype.wake = function(delay) {
+  var self = this
+  clearTimeout(this.timer)
+  this.timer = null
+  if (delay === null) return
+  this.timer = setTimeout(function() {
+    self.timer = null
+    if (self.onIdle && self.idle()) self.onIdle()
+    else self.drain()
+  }, delay)
+  if (this.timer.unref) this.timer.unref()
+}
+
+Scheduler.prototype.idle = function() {
+  var now = Date.now()
+  return ! this.queue.length && ! this.inFlight && ! _.some(this.started, function(t) { return t > now - WINDOW })
+}
+
+/**
+ * Returns a snapshot of the queue depth, requests in flight and time spent waiting in the queue.
+ *
+ * @returns {object}
+ */
+Scheduler.prototype.stats = function() {
+  var now = Date.now(),
+      dispatched = this.completed + this.inFlight
+  return {
+    queued:            this.queue.length,
+    inFlight:          this.inFlight,
+    completed:         this.completed,
+    lastMinute:        _.filter(this.started, function(t) { return t > now - WINDOW }).length,
+    oldestQueuedWait:  this.queue.length ? now - this.queue[0].queuedAt : 0,
+    averageWait:       dispatched ? Math.round(this.totalWait / dispatched) : 0,
+    maxWait:           this.maxWait,
+    requestsPerMinute: this.requestsPerMinute,
+    maxConcurrent:     this.maxConcurrent
+  }
+}
+
+var realms = {}
+
+/**
+ * Returns the Scheduler shared by every QuickBooks instance of the given company. A Scheduler that has had
+ * nothing to run for a minute is dropped, together with its limits and stats, so that a process serving many
+ * companies does not keep one for each of them.
+ *
+ * @param {string} realmId - QuickBooks companyId
+ * @param {object} options - (Optional) limits applied to the shared Scheduler
+ * @param {object} defaults - (Optional) limits of the Scheduler when this call creates it, e.g. again after it was dropped
+ * @returns {Scheduler}
+ */
+Scheduler.forRealm = function(realmId, options, defaults) {
+  var scheduler = realms[realmId]
+  if (! scheduler) {
+    scheduler = realms[realmId] = new Scheduler(_.extend({}, defaults, options))
+    scheduler.onIdle = function() {
+      if (realms[realmId] === scheduler) delete realms[realmId]
+    }
+    scheduler.drain()
+  } else if (options) {
+    scheduler.configure(options)
+  }
+  return scheduler
+}
+
+module.exports = Scheduler
@@ -0,0 +1,218 @@
+/**
+ * @file Validation of the QuickBooks constructor options, with fallbacks to environment variables
+ * @name node-quickbooks/settings
+ * @license ISC
+ */
+
+var _         = require('underscore'),
+    Scheduler = require('./scheduler')
+
+// Option names in the order of the positional constructor arguments
+var POSITIONAL = ['consumerKey', 'consumerSecret', 'token', 'tokenSecret', 'realmId', 'useSandbox', 'debug']
+
+var REQUIRED = ['consumerKey', 'consumerSecret', 'token', 'tokenSecret', 'realmId']
+
+// Environment variables read for options that are not set, or set to an empty string as in config.js
+var ENVIRONMENT = {
+  consumerKey:     'QBO_CONSUMER_KEY',
+  consumerSecret:  'QBO_CONSUMER_SECRET',
+  token:           'QBO_TOKEN',
+  tokenSecret:     'QBO_TOKEN_SECRET',
+  realmId:         'QBO_REALM_ID',
+  useSandbox:      'QBO_SANDBOX',
+  debug:           'QBO_DEBUG',
+  endpoint:        'QBO_ENDPOINT',
+  paymentEndpoint: 'QBO_PAYMENT_ENDPOINT',
+  proxy:           'QBO_PROXY',
+  timeout:         'QBO_TIMEOUT'
+}
+
+var RETRY_TYPES = {retries: 'number', minDelay: 'number', maxDelay: 'number', factor: 'number',
+                   jitter: 'boolean', writes: 'boolean', timeouts: 'boolean'}
+
+// Each check returns a description of what the value must be when it is invalid
+function string(value) {
+  if (! _.isString(value)) return 'must be a string'
+}
+
+function realm(value) {
+  if (! _.isString(value) && ! _.isNumber(value)) return 'must be a string'
+}
+
+function boolean(value) {
+  if (! _.isBoolean(value)) return 'must be true or false'
+}
+
+function httpUrl(value) {
+  if (! _.isString(value) || ! /^https?:\/\/[^\/]/i.test(value)) return 'must be an http or https url'
+}
+
+function positive(value) {
+  if (! _.isNumber(value) || ! (value > 0)) return 'must be a positive number of milliseconds'
+}
+
+function object(value) {
+  if (! _.isObject(value) || _.isArray(value) || _.isFunction(value)) return 'must be an object'
+}
+
+function date(value) {
+  if (! (_.isDate(value) || _.isString(value) || _.isNumber(value)) || isNaN(new Date(value).getTime())) {
+    return 'must be a Date or a date string'
+  }
+}
+
+function disabledOr(check) {
+  return function(value) {
+    if (value !== false) return check(value)
+  }
+}
+
+function limits(types) {
+  return disabledOr(function(value) {
+    var invalid = object(value)
+    if (invalid) return 'must be false or an object'
+    var wrong = _.filter(_.keys(value), function(key) {
+      return ! _.has(types, key) || typeof value[key] !== types[key]
+    })
+    if (wrong.length) {
+      return 'must be false or an object with ' + _.map(types, function(type, key) { return key + ' (' + type + ')' }).join(', ') +
+             ', not ' + wrong.join(', ')
+    }
+  })
+}
+
+function withFunctions(names) {
+  return function(value) {
+    if (! _.isObject(value) || ! _.every(names, function(name) { return _.isFunction(value[name]) })) {
+      return 'must be an object with ' + names.join(', ') + ' functions'
+    }
+  }
+}
+
+var SCHEMA = {
+  consumerKey:     string,
+  consumerSecret:  string,
+  token:           string,
+  tokenSecret:     string,
+  realmId:         realm,
+  useSandbox:      boolean,
+  debug:           boolean,
+  retry:           limits(RETRY_TYPES),
+  rateLimit:       limits(_.object(_.keys(Scheduler.DEFAULTS), _.map(Scheduler.DEFAULTS, function() { return 'number' }))),
+  endpoint:        httpUrl,
+  paymentEndpoint: httpUrl,
+  requestTokenUrl: httpUrl,
+  accessTokenUrl:  httpUrl,
+  appCenterBase:   httpUrl,
+  proxy:           httpUrl,
+  agent:           disabledOr(object),
+  keepAlive:       boolean,
+  timeout:         positive,
+  signal:          function(value) {
+    if (! _.isObject(value) || ! _.isBoolean(value.aborted)) return 'must be an AbortSignal'
+  },
+  tls:             object,
+  transport:       withFunctions(['send']),
+  fixtures:        object,
+  middleware:      function(value) {
+    if (! _.isArray(value) || ! _.every(value, _.isFunction)) return 'must be an array of functions'
+  },
+  logger:          withFunctions(['debug', 'info', 'warn', 'error']),
+  redact:          boolean,
+  tokenCreatedAt:  date,
+  tokenExpiresAt:  date,
+  env:             disabledOr(object),
+  strict:          boolean
+}
+
+function isUnset(value) {
+  return _.isUndefined(value) || value === null || value === ''
+}
+
+// Environment variables are strings, converted to the type of the option they set
+function fromEnvironment(name, variable, value, problems) {
+  if (SCHEMA[name] === boolean) {
+    if (/^(true|1|yes)$/i.test(value)) return true
+    if (/^(false|0|no)$/i.test(value)) return false
+    problems.push(variable + ' must be true or false')
+    return undefined
+  }
+  if (SCHEMA[name] === positive) return Number(value)
+  return value
+}
+
+// Number of single character insertions, deletions and substitutions turning a into b
+function distance(a, b) {
+  var row = _.range(b.length + 1)
+  _.each(a, function(ca, i) {
+    var diagonal = row[0]
+    row[0] = i + 1
+    _.each(b, function(cb, j) {
+      var above = row[j + 1]
+      row[j + 1] = Math.min(above + 1, row[j] + 1, diagonal + (ca === cb ? 0 : 1))
+      diagonal = above
+    })
+  })
+  return row[b.length]
+}
+
+// The option an unknown key is most likely a misspelling of, differing only in case, separators or one letter
+function misspelled(key) {
+  var normalized = key.toLowerCase().replace(/[_-]/g, '')
+  return _.find(_.keys(SCHEMA), function(name) {
+    return name.toLowerCase() === normalized || (name.length > 4 && distance(name.toLowerCase(), normalized) === 1)
+  })
+}
+
+/**
+ * Validates the options of a QuickBooks instance, taking any option that is not set, or set to an empty string,
+ * from its environment variable (see ENVIRONMENT). Every problem found is reported at once. Other keys, e.g. the
+ * settings of an application kept in the same config object, are ignored unless they look like a misspelled option
+ * or strict is true.
+ *
+ * @param {object} options - the options object, in the shape of config.js, or the positional constructor
+ *                           arguments as an array. env - false to ignore the environment, or the variables to read
+ *                           instead of process.env. strict - true to also reject keys that are not options
+ * @returns {object} - the options with the environment fallbacks applied and realmId as a string
+ * @throws {TypeError} - when options are misspelled, missing or invalid
+ */
+function resolve(options) {
+  if (_.isArray(options)) options = _.object(POSITIONAL, options)
+  options = _.extend({}, options)
+  var problems = [],
+      env      = options.env === false ? {} : options.env || process.env
+
+  _.each(ENVIRONMENT, function(variable, name) {
+    if (isUnset(options[name]) && ! isUnset(env[variable])) {
+      options[name] = fromEnvironment(name, variable, env[variable], problems)
+    }
+  })
+  _.each(options, function(value, key) {
+    if (! _.has(SCHEMA, key)) {
+      var match = misspelled(key)
+      if (match) return problems.push('unknown option ' + key + ' (did you mean ' + match + '?)')
+      if (options.strict) problems.push('unknown option ' + key)
+      return
+    }
+    if (isUnset(value)) return
+    var invalid = SCHEMA[key](value)
+    if (invalid) problems.push(key + ' ' + invalid)
+  })
+  _.each(REQUIRED, function(name) {
+    if (isUnset(options[name])) problems.push(name + ' is required (or set ' + ENVIRONMENT[name] + ')')
+  })
+  if (problems.length) {
+    throw new TypeError('Invalid QuickBooks options: ' + problems.join('; '))
+  }
+
+  options.realmId = String(options.realmId)
+  return options
+}
+
+module.exports = {
+  POSITIONAL:  POSITIONAL,
+  REQUIRED:    REQUIRED,
+  ENVIRONMENT: ENVIRONMENT,
+  SCHEMA:      SCHEMA,
+  resolve:     resolve
+}
@@ -0,0 +1,199 @@
+/**
+ * @file Key-value stores used to persist sync cursors, credentials and similar state
+ * @name node-quickbooks/store
+ * @license ISC
+ *
+ * A store is any object implementing
+ *   get(key, callback)        - calls back with any error and the value, or undefined
+ *   set(key, value, callback) - calls back with any error
+ *   delete(key, callback)     - calls back with any error
+ * Values must be JSON serializable.
+ */
+
+var crypto = require('crypto'),
+    fs     = require('fs'),
+    path   = require('path'),
+    util   = require('util'),
+    _      = require('underscore')
+
+/**
+ * Keeps values in process memory.
+ *
+ * @constructor
+ */
+function MemoryStore() {
+  this.values = {}
+}
+
+MemoryStore.prototype.get = function(key, callback) {
+  var value = this.values[key]
+  setImmediate(function() {
+    callback(null, _.isUndefined(value) ? undefined : JSON.parse(value))
+  })
+}
+
+MemoryStore.prototype.set = function(key, value, callback) {
+  this.values[key] = JSON.stringify(value)
+  setImmediate(function() { callback(null) })
+}
+
+MemoryStore.prototype.delete = function(key, callback) {
+  delete this.values[key]
+  setImmediate(function() { callback(null) })
+}
+
+/**
+ * Keeps values in a single JSON file, which is replaced atomically on every write.
+ *
+ * @param {string} file - path of the JSON file, created on the first write
+ * @constructor
+ */
+function FileStore(file) {
+  this.file    = path.resolve(file)
+  this.pending = []
+  this.writing = false
+}
+
+FileStore.prototype.read = function(callback) {
+  var self = this
+  fs.readFile(this.file, 'utf8', function(err, json) {
+    if (err && err.code === 'ENOENT') return callback(null, {})
+    if (err) return callback(err)
+    var values
+    try {
+      values = json ? self.parse(json) : {}
+    } catch (e) {
+      return callback(e)
+    }
+    callback(null, values)
+  })
+}
+
+FileStore.prototype.parse = function(text) {
+  return JSON.parse(text)
+}
+
+FileStore.prototype.serialize = function(values) {
+  return JSON.stringify(values, null, 2)
+}
+
+// Read-modify-write cycles are serialized so that concurrent writes do not overwrite each other
+FileStore.prototype.update = function(change, callback) {
+  var self = this
+  this.pending.push({change: change, callback: callback})
+  if (this.writing) return
+  this.writing = true
+  var next = function() {
+    var job = self.pending.shift()
+    if (! job) {
+      self.writing = false
+      return
+    }
+    self.read(function(err, values) {
+      if (err) {
+        job.callback(err)
+        return next()
+      }
+      job.change(values)
+      // unique per write, as other stores of this process may be writing the same file
+      var tmp = self.file + '.' + process.pid + '.' + crypto.randomBytes(6).toString('hex') + '.tmp'
+      var text
+      try {
+        text = self.serialize(values)
+      } catch (e) {
+        job.callback(e)
+        return next()
+      }
+      fs.writeFile(tmp, text, {mode: self.mode}, function(err) {
+        if (err) {
+          job.callback(err)
+          return next()
+        }
+        fs.rename(tmp, self.file, function(err) {
+          job.callback(err || null)
+          next()
+        })
+      })
+    })
+  }
+  next()
+}
+
+FileStore.prototype.get = function(key, callback) {
+  this.read(function(err, values) {
+    callback(err, err ? undefined : values[key])
+  })
+}
+
+FileStore.prototype.set = function(key, value, callback) {
+  this.update(function(values) { values[key] = value }, callback)
+}
+
+FileStore.prototype.delete = function(key, callback) {
+  this.update(function(values) { delete values[key] }, callback)
+}
+
+/**
+ * Keeps values in a single JSON file like FileStore, encrypted with AES-256-GCM so that tokens and other
+ * secrets are not readable, or silently changeable, without the key. The file is only readable by its owner.
+ *
+ * @param {string} file - path of the encrypted file, created on the first write
+ * @param {string|Buffer} secret - passphrase the key is derived from with scrypt and a random salt kept in the
+ *                                 file, or a 32 byte key Buffer used as is
+ * @constructor
+ */
+function EncryptedFileStore(file, secret) {
+  if (! secret || (Buffer.isBuffer(secret) && secret.length !== 32)) {
+    throw new TypeError('EncryptedFileStore requires a passphrase or a 32 byte key')
+  }
+  FileStore.call(this, file)
+  this.secret = secret
+  this.keys   = {}
+  this.mode   = parseInt('600', 8)
+}
+util.inherits(EncryptedFileStore, FileStore)
+
+EncryptedFileStore.ALGORITHM = 'aes-256-gcm'
+
+// Derivation is slow on purpose, so the key of each salt is only derived once
+EncryptedFileStore.prototype.key = function(salt) {
+  if (Buffer.isBuffer(this.secret)) return this.secret
+  var id = salt.toString('base64')
+  if (! this.keys[id]) this.keys[id] = crypto.scryptSync(String(this.secret), salt, 32)
+  return this.keys[id]
+}
+
+EncryptedFileStore.prototype.parse = function(text) {
+  var envelope = JSON.parse(text)
+  if (envelope.algorithm !== EncryptedFileStore.ALGORITHM) {
+    throw new Error(this.file + ' is not encrypted with ' + EncryptedFileStore.ALGORITHM)
+  }
+  this.salt = Buffer.from(envelope.salt, 'base64')
+  var decipher = crypto.createDecipheriv(envelope.algorithm, this.key(this.salt), Buffer.from(envelope.iv, 'base64'))
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'))
+  try {
+    return JSON.parse(Buffer.concat([decipher.update(envelope.data, 'base64'), decipher.final()]).toString('utf8'))
+  } catch (e) {
+    throw new Error('Cannot decrypt ' + this.file + ': wrong key or corrupted file')
+  }
+}
+
+EncryptedFileStore.prototype.serialize = function(values) {
+  this.salt = this.salt || crypto.randomBytes(16)
+  var iv     = crypto.randomBytes(12),
+      cipher = crypto.createCipheriv(EncryptedFileStore.ALGORITHM, this.key(this.salt), iv),
+      data   = Buffer.concat([cipher.update(JSON.stringify(values), 'utf8'), cipher.final()])
+  return JSON.stringify({
+    algorithm: EncryptedFileStore.ALGORITHM,
+    salt:      this.salt.toString('base64'),
+    iv:        iv.toString('base64'),
+    tag:       cipher.getAuthTag().toString('base64'),
+    data:      data.toString('base64')
+  }, null, 2)
+}
+
+module.exports = {
+  MemoryStore:        MemoryStore,
+  FileStore:          FileStore,
+  EncryptedFileStore: EncryptedFileStore
+}
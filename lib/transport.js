@@ -0,0 +1,176 @@
+/**
+ * @file HTTP transport interface and its default implementation on Node's http and https modules
+ * @name node-quickbooks/transport
+ * @license ISC
+ *
+ * A transport is any object implementing
+ *   send(request, callback)
+ * where request is {method, url, headers, body, timeout, agent, proxy, tls, signal}: method is an upper case verb,
+ * url is absolute and includes the query string, body is a Buffer or undefined, timeout is the milliseconds the
+ * whole request may take, agent is an http.Agent or https.Agent, proxy is the URL of an HTTP(S) proxy, tls holds
+ * the ca, cert, key, passphrase and rejectUnauthorized settings of HTTPS connections and signal is an AbortSignal
+ * cancelling the request. The callback is called with any network error, or null and the response {statusCode, headers, body}, headers
+ * having lower case names and body being a Buffer.
+ */
+
+var http  = require('http'),
+    https = require('https'),
+    tls   = require('tls'),
+    url   = require('url'),
+    zlib  = require('zlib'),
+    _     = require('underscore')
+
+var TLS_OPTIONS = ['ca', 'cert', 'key', 'passphrase', 'rejectUnauthorized']
+
+function timeoutError(timeout) {
+  var err = new Error('Request timed out after ' + timeout + 'ms')
+  err.code = 'ESOCKETTIMEDOUT'
+  return err
+}
+
+function abortError() {
+  var err = new Error('Request aborted')
+  err.name = 'AbortError'
+  err.code = 'ABORT_ERR'
+  return err
+}
+
+function proxyAuthorization(proxy) {
+  return 'Basic ' + Buffer.from(decodeURIComponent(proxy.auth)).toString('base64')
+}
+
+function dispatch(transport, options, request, callback) {
+  var req
+  try {
+    req = transport.request(options, onResponse)
+  } catch (e) {
+    // e.g. unescaped characters in the path
+    return callback(e)
+  }
+  function onResponse(res) {
+    var chunks   = [],
+        encoding = res.headers['content-encoding'],
+        stream   = res
+    if (encoding === 'gzip' || encoding === 'deflate') {
+      stream = res.pipe(encoding === 'gzip' ? zlib.createGunzip() : zlib.createInflate())
+      res.on('error', callback)
+    }
+    stream.on('data', function(chunk) { chunks.push(chunk) })
+    stream.on('end', function() {
+      callback(null, {statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks)})
+    })
+    stream.on('error', callback)
+  }
+  req.on('error', callback)
+  req.end(request.body)
+  return req
+}
+
+// Opens a CONNECT tunnel through the proxy to the target host, for HTTPS requests
+function tunnel(proxy, options, request, callback) {
+  var headers = {host: options.hostname + ':' + options.port}
+  if (proxy.auth) headers['Proxy-Authorization'] = proxyAuthorization(proxy)
+  var connect = (proxy.protocol === 'https:' ? https : http).request({
+    hostname: proxy.hostname,
+    port:     proxy.port || (proxy.protocol === 'https:' ? 443 : 80),
+    method:   'CONNECT',
+    path:     options.hostname + ':' + options.port,
+    headers:  headers,
+    agent:    false
+  })
+  connect.on('connect', function(res, socket) {
+    if (res.statusCode !== 200) {
+      socket.destroy()
+      var err = new Error('Proxy responded ' + res.statusCode + ' to CONNECT ' + options.hostname + ':' + options.port)
+      err.code = 'EPROXY'
+      return callback(err)
+    }
+    callback(null, socket)
+  })
+  connect.on('error', callback)
+  connect.end()
+  return connect
+}
+
+/**
+ * The default transport, sending requests with Node's http and https modules. Responses compressed with gzip
+ * or deflate are decompressed. Requests are sent through the proxy when one is given: plain HTTP requests
+ * directly, HTTPS requests through a CONNECT tunnel.
+ *
+ * @constructor
+ */
+function HttpTransport() {
+}
+
+/**
+ * Sends a request.
+ *
+ * @param {object} request - {method, url, headers, body, timeout, agent, proxy, tls, signal}
+ * @param {function} callback - Callback function which is called with any error and the response
+ */
+HttpTransport.prototype.send = function(request, callback) {
+  var target  = url.parse(request.url),
+      secure  = target.protocol === 'https:',
+      proxy   = request.proxy ? url.parse(request.proxy) : null,
+      settled = false,
+      options = {
+        method:   request.method,
+        hostname: target.hostname,
+        port:     target.port || (secure ? 443 : 80),
+        path:     target.path,
+        headers:  _.extend({'Accept-Encoding': 'gzip, deflate'}, request.headers),
+        agent:    request.agent
+      },
+      signal  = request.signal,
+      active, timer
+  var cancel = function(err) {
+    if (active) active.destroy(err)
+    done(err)
+  }
+  var abort = function() {
+    cancel(abortError())
+  }
+  var done = function(err, res) {
+    if (settled) return
+    settled = true
+    clearTimeout(timer)
+    if (signal) signal.removeEventListener('abort', abort)
+    callback(err || null, res)
+  }
+  if (signal && signal.aborted) return setImmediate(function() { done(abortError()) })
+  if (signal) signal.addEventListener('abort', abort)
+  // a limit on the whole attempt, which a server sending its response slowly cannot extend
+  if (request.timeout) {
+    timer = setTimeout(function() {
+      cancel(timeoutError(request.timeout))
+    }, request.timeout)
+  }
+  if (request.body) options.headers['Content-Length'] = Buffer.byteLength(request.body)
+  if (secure) _.extend(options, _.pick(request.tls || {}, TLS_OPTIONS))
+
+  if (proxy && ! secure) {
+    options.hostname = proxy.hostname
+    options.port     = proxy.port || 80
+    options.path     = request.url
+    if (proxy.auth) options.headers['Proxy-Authorization'] = proxyAuthorization(proxy)
+    active = dispatch(http, options, request, done)
+    return
+  }
+  if (proxy) {
+    active = tunnel(proxy, options, request, function(err, socket) {
+      if (err) return done(err)
+      if (settled) return socket.destroy()
+      options.agent = false
+      options.createConnection = function() {
+        return tls.connect(_.extend({socket: socket, servername: options.hostname}, _.pick(options, TLS_OPTIONS)))
+      }
+      active = dispatch(https, options, request, done)
+    })
+    return
+  }
+  active = dispatch(secure ? https : http, options, request, done)
+}
+
+module.exports = {
+  HttpTransport: HttpTransport
+}
@@ -0,0 +1,168 @@
+/**
+ * @file Verification and handling of QuickBooks webhook notifications
+ * @name node-quickbooks/webhook
+ * @license ISC
+ */
+
+var crypto = require('crypto'),
+    _      = require('underscore')
+
+var SIGNATURE_HEADER = 'intuit-signature'
+
+/**
+ * Checks the intuit-signature header of a notification: the base64 HMAC-SHA256 of the raw request body,
+ * keyed with the app's webhook verifier token.
+ *
+ * @param {string|Buffer} payload - raw request body, exactly as received
+ * @param {string} signature - value of the intuit-signature header
+ * @param {string} verifierToken - webhooks verifier token of the app
+ * @returns {boolean}
+ */
+function verifySignature(payload, signature, verifierToken) {
+  if (! payload || ! signature || ! verifierToken) return false
+  var expected = crypto.createHmac('sha256', verifierToken).update(payload).digest(),
+      actual   = Buffer.from(String(signature), 'base64')
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
+
+/**
+ * Groups the dataChangeEvent entities of a notification by realmId.
+ *
+ * @param {string|Buffer|object} payload - notification body
+ * @returns {object} - map of realmId to a list of {name, id, operation, lastUpdated, deletedId}
+ */
+function parse(payload) {
+  if (Buffer.isBuffer(payload)) payload = payload.toString('utf8')
+  if (_.isString(payload)) payload = JSON.parse(payload)
+  var byRealm = {}
+  _.each((payload && payload.eventNotifications) || [], function(notification) {
+    var events = byRealm[notification.realmId] = byRealm[notification.realmId] || []
+    _.each((notification.dataChangeEvent && notification.dataChangeEvent.entities) || [], function(entity) {
+      events.push(_.pick(entity, 'name', 'id', 'operation', 'lastUpdated', 'deletedId'))
+    })
+  })
+  return byRealm
+}
+
+/**
+ * Fetches the current version of each changed entity through the matching get* function, e.g. getInvoice,
+ * setting it as the entity field of the event. Deleted entities and those without a get* function are skipped.
+ * When an entity cannot be fetched, e.g. because it was deleted since, the error is set as the error field of
+ * its event instead and the other events are still hydrated.
+ *
+ * @param {QuickBooks} qbo - client of the realm the events belong to
+ * @param {Array} events - events of one realm, as returned by parse
+ * @param {function} callback - Callback function which is called with null and the events
+ */
+function hydrate(qbo, events, callback) {
+  var remaining = events.slice()
+  var next = function() {
+    var event = remaining.shift()
+    if (! event) return callback(null, events)
+    var get = qbo['get' + event.name]
+    if (event.operation === 'Delete' || ! _.isFunction(get)) return next()
+    get.call(qbo, event.id, function(err, entity) {
+      if (err) event.error = err
+      else event.entity = entity
+      next()
+    })
+  }
+  next()
+}
+
+function readBody(req, callback) {
+  if (Buffer.isBuffer(req.rawBody) || _.isString(req.rawBody)) return callback(null, req.rawBody)
+  if (Buffer.isBuffer(req.body) || _.isString(req.body)) return callback(null, req.body)
+  if (req.body && ! req.readable) {
+    return callback(new Error('The raw request body is needed to verify the intuit-signature header; ' +
+                              'mount the webhook handler before any JSON body parser or set req.rawBody'))
+  }
+  var chunks = []
+  req.on('data', function(chunk) { chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)) })
+  req.on('end', function() { callback(null, Buffer.concat(chunks)) })
+  req.on('error', callback)
+}
+
+/**
+ * Returns a request handler, usable with http.createServer or as Express/Connect middleware, that verifies
+ * each notification, responds right away and then calls onEvents once per realm.
+ *
+ * @param {object} options - verifierToken (required),
+ *                           onEvents - function(realmId, events) called for each realm of a verified notification,
+ *                           client - (Optional) function(realmId) returning the QuickBooks instance of the realm,
+ *                                    in which case each event is hydrated with the changed entity (see hydrate),
+ *                           onError - (Optional) function(err, realmId) for errors thrown or rejected by onEvents
+ *                                     and client after the response was sent; without it they are logged to the
+ *                                     logger of the realm's QuickBooks instance, if there is one
+ * @returns {function} - function(req, res, next)
+ */
+function handler(options) {
+  options = options || {}
+  if (! options.verifierToken) throw new Error('A webhook verifier token is required')
+  _.each(['onEvents', 'client', 'onError'], function(name) {
+    if ((name === 'onEvents' || options[name]) && ! _.isFunction(options[name])) {
+      throw new TypeError('The ' + name + ' option of the webhook handler must be a function')
+    }
+  })
+  var onError = function(err, realmId, qbo) {
+    if (options.onError) return options.onError(err, realmId)
+    if (qbo && qbo.logger) {
+      qbo.logger.error({
+        message: 'webhook notification of realm ' + realmId + ' failed: ' + err.message,
+        event:   'webhook',
+        realmId: realmId,
+        error:   _.pick(err, 'name', 'message', 'code', 'type')
+      })
+    }
+  }
+  // nothing thrown here can reach the request any more
+  var dispatch = function(realmId, events, qbo) {
+    try {
+      var result = options.onEvents(realmId, events)
+      if (result && _.isFunction(result.then)) {
+        result.then(null, function(err) { onError(err, realmId, qbo) })
+      }
+    } catch (e) {
+      onError(e, realmId, qbo)
+    }
+  }
+  return function(req, res, next) {
+    var respond = function(status, message) {
+      res.statusCode = status
+      res.end(message || '')
+    }
+    readBody(req, function(err, body) {
+      if (err) return next ? next(err) : respond(500, err.message)
+      if (! verifySignature(body, req.headers[SIGNATURE_HEADER], options.verifierToken)) {
+        return respond(401, 'Invalid signature')
+      }
+      var byRealm
+      try {
+        byRealm = parse(body)
+      } catch (e) {
+        return respond(400, 'Invalid payload')
+      }
+      respond(200)
+      _.each(byRealm, function(events, realmId) {
+        var qbo
+        try {
+          qbo = options.client && options.client(realmId)
+        } catch (e) {
+          return onError(e, realmId)
+        }
+        if (! qbo) return dispatch(realmId, events)
+        hydrate(qbo, events, function() {
+          dispatch(realmId, events, qbo)
+        })
+      })
+    })
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER: SIGNATURE_HEADER,
+  verifySignature:  verifySignature,
+  parse:            parse,
+  hydrate:          hydrate,
+  handler:          handler
+}
@@ -0,0 +1,187 @@
+/**
+ * @file Minimal single worksheet XLSX writer
+ * @name node-quickbooks/xlsx
+ * @license ISC
+ */
+
+var zlib = require('zlib'),
+    _    = require('underscore')
+
+var CRC_TABLE = _.map(_.range(256), function(n) {
+  var c = n
+  for (var k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+  }
+  return c >>> 0
+})
+
+function crc32(buffer) {
+  var crc = 0xFFFFFFFF
+  for (var i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+/**
+ * Packs files into a deflated zip archive.
+ *
+ * @param {Array} files - list of {name, data}, data being a string or Buffer
+ * @returns {Buffer}
+ */
+function zip(files) {
+  var parts = [], central = [], offset = 0
+  _.each(files, function(file) {
+    var name       = Buffer.from(file.name, 'utf8'),
+        data       = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8'),
+        compressed = zlib.deflateRawSync(data),
+        crc        = crc32(data),
+        local      = Buffer.alloc(30),
+        entry      = Buffer.alloc(46)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(20, 4)
+    local.writeUInt16LE(0x0800, 6)
+    local.writeUInt16LE(8, 8)
+    local.writeUInt32LE(crc, 14)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(name.length, 26)
+    entry.writeUInt32LE(0x02014b50, 0)
+    entry.writeUInt16LE(20, 4)
+    entry.writeUInt16LE(20, 6)
+    entry.writeUInt16LE(0x0800, 8)
+    entry.writeUInt16LE(8, 10)
+    entry.writeUInt32LE(crc, 16)
+    entry.writeUInt32LE(compressed.length, 20)
+    entry.writeUInt32LE(data.length, 24)
+    entry.writeUInt16LE(name.length, 28)
+    entry.writeUInt32LE(offset, 42)
+    parts.push(local, name, compressed)
+    central.push(entry, name)
+    offset += local.length + name.length + compressed.length
+  })
+  var directory = Buffer.concat(central),
+      end       = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(files.length, 8)
+  end.writeUInt16LE(files.length, 10)
+  end.writeUInt32LE(directory.length, 12)
+  end.writeUInt32LE(offset, 16)
+  return Buffer.concat(parts.concat(directory, end))
+}
+
+function escapeXml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+                  .replace(/"/g, '&quot;').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+}
+
+function columnName(index) {
+  var name = ''
+  for (index++; index > 0; index = Math.floor((index - 1) / 26)) {
+    name = String.fromCharCode(65 + (index - 1) % 26) + name
+  }
+  return name
+}
+
+/**
+ * Builds a workbook with one worksheet.
+ *
+ * @param {Array} rows - list of rows, each a list of cells. A cell is a value (number, string, null) or
+ *                       {value, bold, indent} to style it
+ * @param {object} options - (Optional) sheetName (default 'Sheet1')
+ * @returns {Buffer} - contents of the .xlsx file
+ */
+function workbook(rows, options) {
+  options = options || {}
+  var styles = [{bold: false, indent: 0}]
+  var styleIndex = function(bold, indent) {
+    var style = _.findWhere(styles, {bold: bold, indent: indent})
+    if (! style) {
+      style = {bold: bold, indent: indent}
+      styles.push(style)
+    }
+    return _.indexOf(styles, style)
+  }
+
+  var sheetRows = _.map(rows, function(row, r) {
+    var cellsXml = _.map(row, function(cell, c) {
+      var styled = _.isObject(cell) && ! _.isDate(cell) ? cell : {value: cell},
+          value  = styled.value,
+          ref    = columnName(c) + (r + 1),
+          s      = styleIndex(!! styled.bold, styled.indent || 0),
+          attrs  = ' r="' + ref + '"' + (s ? ' s="' + s + '"' : '')
+      if (value === null || _.isUndefined(value) || value === '') {
+        return s ? '<c' + attrs + '/>' : ''
+      }
+      if (_.isNumber(value) && isFinite(value)) {
+        return '<c' + attrs + '><v>' + value + '</v></c>'
+      }
+      return '<c' + attrs + ' t="inlineStr"><is><t xml:space="preserve">' + escapeXml(value) + '</t></is></c>'
+    }).join('')
+    return '<row r="' + (r + 1) + '">' + cellsXml + '</row>'
+  }).join('')
+
+  var sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetData>' + sheetRows + '</sheetData></worksheet>'
+
+  var xfs = _.map(styles, function(s) {
+    return '<xf numFmtId="0" fontId="' + (s.bold ? 1 : 0) + '" fillId="0" borderId="0" xfId="0"' +
+           (s.bold ? ' applyFont="1"' : '') +
+           (s.indent ? ' applyAlignment="1"><alignment horizontal="left" indent="' + s.indent + '"/></xf>' : '/>')
+  }).join('')
+
+  var stylesXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="' + styles.length + '">' + xfs + '</cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>'
+
+  return zip([{
+    name: '[Content_Types].xml',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+          '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+          '<Default Extension="xml" ContentType="application/xml"/>' +
+          '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+          '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+          '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+          '</Types>'
+  }, {
+    name: '_rels/.rels',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+          '</Relationships>'
+  }, {
+    name: 'xl/workbook.xml',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+          '<sheets><sheet name="' + escapeXml((options.sheetName || 'Sheet1').substring(0, 31)) + '" sheetId="1" r:id="rId1"/></sheets>' +
+          '</workbook>'
+  }, {
+    name: 'xl/_rels/workbook.xml.rels',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+          '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+          '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+          '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+          '</Relationships>'
+  }, {
+    name: 'xl/styles.xml',
+    data: stylesXml
+  }, {
+    name: 'xl/worksheets/sheet1.xml',
+    data: sheet
+  }])
+}
+
+module.exports = {
+  crc32:    crc32,
+  zip:      zip,
+  workbook: workbook
+}
@@ -1,11 +1,14 @@
 var expect     = require('expect'),
     async      = require('async'),
+    _          = require('underscore'),
     config     = require('../config'),
     QuickBooks = require('../index'),
-    qbo        = new QuickBooks(config);
+    client     = require('./support/client'),
+    sandbox    = require('./support/sandbox'),
+    qbo        = sandbox.configured && new QuickBooks(config);
 
 
-describe('Batch Api', function() {
+sandbox.describe('Batch Api', function() {
 
   this.timeout(30000);
 
@@ -47,4 +50,118 @@ describe('Batch Api', function() {
     })
   })
 
-})
\ No newline at end of file
+})
+
+
+describe('Chunked Batch', function() {
+
+  var sent
+
+  var transport = {
+    send: function(req, callback) {
+      var items = JSON.parse(req.body).BatchItemRequest
+      sent.push(items)
+      setImmediate(function() {
+        if (items[0].Attachable.Note === 'fail request') {
+          return callback(null, {statusCode: 503, headers: {}, body: ''})
+        }
+        callback(null, {statusCode: 200, headers: {}, body: {
+          BatchItemResponse: _.map(items.slice().reverse(), function(item) {
+            return item.Attachable.Note === 'bad' ?
+              {bId: item.bId, Fault: {type: 'ValidationFault', Error: [{Message: 'Invalid', code: '2020'}]}} :
+              {bId: item.bId, Attachable: _.extend({Id: 'id-' + item.bId}, item.Attachable)}
+          })
+        }})
+      })
+    }
+  }
+
+  var offline = client({realmId: 'batch-test', transport: transport})
+
+  beforeEach(function() {
+    sent = []
+  })
+
+  it('should split items into 25 item requests and return results in input order', function(done) {
+    var items = _.map(_.range(60), function(i) {
+      return {operation: 'create', Attachable: {Note: i === 30 ? 'bad' : 'Note ' + i}}
+    })
+    offline.batchAll(items, {concurrency: 2}, function(err, results) {
+      expect(err).toBe(null)
+      expect(_.pluck(sent, 'length')).toEqual([25, 25, 10])
+      expect(results.length).toBe(60)
+      expect(results[59].bId).toBe('59')
+      expect(results[59].status).toBe('success')
+      expect(results[59].entity.Note).toBe('Note 59')
+      expect(results[30].status).toBe('fault')
+      expect(results[30].error).toBeA(QuickBooks.ValidationFault)
+      expect(results[30].item.Attachable.Note).toBe('bad')
+      expect(items[0].bId).toBe(undefined)
+      done()
+    })
+  })
+
+  it('should mark every item of a failed request as a fault', function(done) {
+    offline.batchAll([{Attachable: {Note: 'fail request'}}, {bId: 'x', Attachable: {Note: 'other'}}]).then(function(results) {
+      expect(_.pluck(results, 'status')).toEqual(['fault', 'fault'])
+      expect(results[0].error).toBeA(QuickBooks.ServiceFault)
+      expect(results[1].bId).toBe('x')
+      done()
+    }).catch(done)
+  })
+
+})
+
+
+describe('Batch Builder', function() {
+
+  var sent
+
+  var transport = {
+    send: function(req, callback) {
+      sent = JSON.parse(req.body).BatchItemRequest
+      callback(null, {statusCode: 200, headers: {}, body: {
+        BatchItemResponse: _.map(sent, function(item) {
+          if (item.Query) return {bId: item.bId, QueryResponse: {Item: []}}
+          if (item.Bill) return {bId: item.bId, Fault: {type: 'ValidationFault', Error: [{code: '5010', Message: 'Stale Object Error'}]}}
+          return _.omit(item, 'operation')
+        })
+      }})
+    }
+  }
+
+  var offline = client({realmId: 'batch-builder-test', transport: transport})
+
+  it('should build typed items and group the results by operation', function(done) {
+    offline.batchBuilder()
+      .create('Invoice', {Line: []}, 'newInvoice')
+      .update('customer', {Id: '1', SyncToken: '0', sparse: true, Notes: 'updated'})
+      .delete('Bill', {Id: '2', SyncToken: '3'})
+      .query(offline.query('Item').where('Type', 'Service'))
+      .exec(function(err, results) {
+        expect(err).toBe(null)
+        expect(sent[0]).toEqual({bId: 'newInvoice', operation: 'create', Invoice: {Line: []}})
+        expect(sent[1].Customer.Notes).toBe('updated')
+        expect(sent[3]).toEqual({bId: '3', Query: "select * from Item where Type = 'Service'"})
+        expect(results.all.length).toBe(4)
+        expect(results.byId.newInvoice.status).toBe('success')
+        expect(results.create.length).toBe(1)
+        expect(results.update[0].entity.Id).toBe('1')
+        expect(results.delete[0].error).toBeA(QuickBooks.StaleObjectError)
+        expect(results.query[0].entity.Item).toEqual([])
+        expect(results.failed.length).toBe(1)
+        done()
+      })
+  })
+
+  it('should validate operations like the single entity functions', function() {
+    var builder = offline.batchBuilder()
+    expect(function() { builder.update('Customer', {Id: '1'}) }).toThrow(/must contain Id and SyncToken/)
+    expect(function() { builder.delete('Bill', '2') }).toThrow(/must be an object/)
+    expect(function() { builder.delete('Customer', {Id: '1', SyncToken: '0'}) }).toThrow(/delete is not supported for Customer/)
+    expect(function() { builder.create('Widget', {}) }).toThrow(/create is not supported for Widget/)
+    expect(function() { builder.query({}) }).toThrow(/query must be a statement/)
+    expect(builder.items.length).toBe(0)
+  })
+
+})
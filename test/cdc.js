@@ -1,12 +1,17 @@
 var expect     = require('expect'),
     async      = require('async'),
     moment     = require('moment'),
+    os         = require('os'),
+    fs         = require('fs'),
+    path       = require('path'),
     config     = require('../config'),
     QuickBooks = require('../index'),
-    qbo        = new QuickBooks(config);
+    client     = require('./support/client'),
+    sandbox    = require('./support/sandbox'),
+    qbo        = sandbox.configured && new QuickBooks(config);
 
 
-describe('Change Data Capture', function() {
+sandbox.describe('Change Data Capture', function() {
 
   this.timeout(15000);
 
@@ -37,4 +42,104 @@ describe('Change Data Capture', function() {
 
   })
 
-})
\ No newline at end of file
+})
+
+
+describe('Change Data Capture Sync', function() {
+
+  var urls, cdcResponse
+
+  var transport = {
+    send: function(req, callback) {
+      var url = decodeURIComponent(req.url)
+      urls.push(url)
+      var body = url.match(/\/cdc\?/) ? cdcResponse :
+                 {QueryResponse: url.match(/from Customer/) ? {Customer: [{Id: '1'}, {Id: '2'}]} : {}}
+      setImmediate(function() { callback(null, {statusCode: 200, headers: {}, body: body}) })
+    }
+  }
+
+  var offline = client({realmId: 'cdc-test', transport: transport})
+
+  beforeEach(function() {
+    urls = []
+    cdcResponse = {
+      time: '2015-06-02T10:00:00-07:00',
+      CDCResponse: [{
+        QueryResponse: [{
+          Customer: [
+            {Id: '1', MetaData: {CreateTime: '2015-06-02T09:30:00-07:00', LastUpdatedTime: '2015-06-02T09:30:00-07:00'}},
+            {Id: '2', MetaData: {CreateTime: '2014-01-01T00:00:00-07:00', LastUpdatedTime: '2015-06-02T09:40:00-07:00'}}
+          ],
+          startPosition: 1
+        }, {
+          Invoice: [{Id: '7', status: 'Deleted', MetaData: {LastUpdatedTime: '2015-06-02T09:50:00-07:00'}}]
+        }]
+      }]
+    }
+  })
+
+  it('should flatten changes into created, updated and deleted events and advance the cursor', function(done) {
+    var store = new QuickBooks.MemoryStore(), events = []
+    store.set('cdc:cdc-test', moment().subtract(1, 'hours').format(), function() {
+      var sync = offline.cdcSync({entities: ['Customer', 'Invoice'], store: store})
+      ;['created', 'updated', 'deleted'].forEach(function(operation) {
+        sync.on(operation, function(entity, entityName) {
+          events.push(operation + ' ' + entityName + ' ' + entity.Id)
+        })
+      })
+      sync.poll(function(err, summary) {
+        expect(err).toBe(null)
+        expect(urls[0]).toMatch(/\/cdc\?entities=Customer,Invoice&changedSince=/)
+        expect(summary.changes).toBe(3)
+        expect(summary.resync).toBe(false)
+        expect(events).toEqual(['updated Customer 1', 'updated Customer 2', 'deleted Invoice 7'])
+        store.get('cdc:cdc-test', function(err, cursor) {
+          expect(cursor).toBe('2015-06-02T10:00:00-07:00')
+          done()
+        })
+      })
+    })
+  })
+
+  it('should tell created from updated entities by the cursor', function() {
+    var changes = QuickBooks.CdcSync.flatten(cdcResponse, '2015-06-02T09:00:00-07:00')
+    expect(changes[0].operation).toBe('created')
+    expect(changes[1].operation).toBe('updated')
+    expect(changes[2].operation).toBe('deleted')
+    expect(changes[2].entityName).toBe('Invoice')
+  })
+
+  it('should resync with queries when the cursor is outside the CDC window', function(done) {
+    var store = new QuickBooks.MemoryStore(), resynced = {}
+    store.set('cdc:cdc-test', moment().subtract(31, 'days').format(), function() {
+      var sync = offline.cdcSync({entities: 'Customer,Invoice', store: store})
+      sync.on('resync', function(entityName, entities) {
+        resynced[entityName] = entities.length
+      })
+      sync.poll(function(err, summary) {
+        expect(err).toBe(null)
+        expect(summary.resync).toBe(true)
+        expect(resynced).toEqual({Customer: 2, Invoice: 0})
+        expect(urls.join().indexOf('/cdc?')).toBe(-1)
+        store.get('cdc:cdc-test', function(err, cursor) {
+          expect(moment(cursor).isAfter(moment().subtract(1, 'minutes'))).toBe(true)
+          done()
+        })
+      })
+    })
+  })
+
+  it('should keep the cursor in a JSON file', function(done) {
+    var file = path.join(os.tmpdir(), 'node-quickbooks-cdc-' + process.pid + '.json'),
+        sync = offline.cdcSync({entities: ['Customer'], store: new QuickBooks.FileStore(file), key: 'customers'})
+    sync.poll(function(err) {
+      expect(err).toBe(null)
+      var saved = JSON.parse(fs.readFileSync(file, 'utf8'))
+      expect(typeof saved.customers).toBe('string')
+      fs.unlinkSync(file)
+      done()
+    })
+  })
+
+})
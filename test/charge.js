@@ -3,9 +3,10 @@ var util       = require('util'),
     async      = require('async'),
     config     = require('../config'),
     QuickBooks = require('../index'),
-    qbo        = new QuickBooks(config);
+    sandbox    = require('./support/sandbox'),
+    qbo        = sandbox.configured && new QuickBooks(config);
 
-describe('Charge Api', function() {
+sandbox.describe('Charge Api', function() {
 
   this.timeout(15000);
 
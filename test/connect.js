@@ -0,0 +1,383 @@
+var expect     = require('expect'),
+    http       = require('http'),
+    qs         = require('querystring'),
+    _          = require('underscore'),
+    oauth      = require('../lib/oauth'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('OAuth Connect', function() {
+
+  var server, base, received, reply,
+      consumer = {consumerKey: 'consumer-key', consumerSecret: 'consumer-secret'}
+
+  // the protocol parameters of an OAuth Authorization header
+  function params(header) {
+    var result = {}
+    _.each(header.replace(/^OAuth /, '').split(','), function(pair) {
+      var parts = pair.split('=')
+      result[decodeURIComponent(parts[0])] = decodeURIComponent(parts[1].replace(/"/g, ''))
+    })
+    return result
+  }
+
+  function verify(request, credentials) {
+    var sent  = params(request.headers.authorization),
+        extra = _.omit(sent, 'oauth_consumer_key', 'oauth_signature_method', 'oauth_version', 'oauth_signature', 'oauth_token')
+    expect(params(oauth.authorization('POST', base + request.url, credentials, extra)).oauth_signature).toBe(sent.oauth_signature)
+    return sent
+  }
+
+  function config() {
+    return _.extend({requestTokenUrl: base + '/oauth/v1/get_request_token', accessTokenUrl: base + '/oauth/v1/get_access_token',
+                     appCenterBase: 'https://appcenter.example.com'}, consumer)
+  }
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      received.push({method: req.method, url: req.url, headers: req.headers})
+      var r = _.isFunction(reply) ? reply(req) : reply
+      res.writeHead(r.status, {'Content-Type': 'text/plain'})
+      res.end(_.isString(r.body) ? r.body : qs.stringify(r.body))
+    })
+    server.listen(0, '127.0.0.1', function() {
+      base = 'http://127.0.0.1:' + server.address().port
+      done()
+    })
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    received = []
+  })
+
+  it('should obtain a signed request token and the url to authorize it', function(done) {
+    reply = {status: 200, body: {oauth_token: 'qyprd-request', oauth_token_secret: 'request-secret', oauth_callback_confirmed: 'true'}}
+    QuickBooks.getRequestToken(config(), 'http://localhost:3000/callback', function(err, requestToken) {
+      expect(err).toBe(null)
+      expect(requestToken).toEqual({
+        token: 'qyprd-request', tokenSecret: 'request-secret', callbackConfirmed: true,
+        authorizeUrl: 'https://appcenter.example.com/Connect/Begin?oauth_token=qyprd-request'
+      })
+      expect(received[0].method).toBe('POST')
+      var sent = verify(received[0], consumer)
+      expect(sent.oauth_callback).toBe('http://localhost:3000/callback')
+      expect(sent.oauth_consumer_key).toBe('consumer-key')
+      done()
+    })
+  })
+
+  it('should exchange the verifier for an access token with the realm and expiry', function(done) {
+    reply = {status: 200, body: {oauth_token: 'qyprd-access', oauth_token_secret: 'access-secret'}}
+    var requestToken = {token: 'qyprd-request', tokenSecret: 'request-secret'},
+        query = {oauth_token: 'qyprd-request', oauth_verifier: 'verifier', realmId: '1234', dataSource: 'QBO'}
+    QuickBooks.getAccessToken(config(), requestToken, query).then(function(accessToken) {
+      expect(accessToken.token).toBe('qyprd-access')
+      expect(accessToken.tokenSecret).toBe('access-secret')
+      expect(accessToken.realmId).toBe('1234')
+      expect(accessToken.dataSource).toBe('QBO')
+      expect(accessToken.createdAt).toBeA(Date)
+      expect(accessToken.expiresAt.getTime() - accessToken.createdAt.getTime()).toBe(180 * 24 * 60 * 60 * 1000)
+      var sent = verify(received[0], _.extend({}, consumer, requestToken))
+      expect(sent.oauth_verifier).toBe('verifier')
+      expect(sent.oauth_token).toBe('qyprd-request')
+      done()
+    }).catch(done)
+  })
+
+  it('should fail with an OAuthError when Intuit rejects the request', function(done) {
+    reply = {status: 401, body: {oauth_problem: 'signature_invalid'}}
+    QuickBooks.getAccessToken(config(), {token: 't', tokenSecret: 's'}, 'verifier', function(err, accessToken) {
+      expect(err).toBeA(QuickBooks.OAuthError)
+      expect(err).toBeA(QuickBooks.QuickBooksError)
+      expect(err.statusCode).toBe(401)
+      expect(err.code).toBe('signature_invalid')
+      expect(accessToken).toBe(undefined)
+      done()
+    })
+  })
+
+  it('should reject missing consumer credentials and verifiers', function() {
+    expect(function() {
+      QuickBooks.getRequestToken({consumerKey: 'key'}, 'http://localhost/callback', function() {})
+    }).toThrow(/consumerKey and a consumerSecret/)
+    expect(function() {
+      QuickBooks.getAccessToken(consumer, {token: 't', tokenSecret: 's'}, {realmId: '1'}, function() {})
+    }).toThrow(/verifier is required/)
+  })
+
+  describe('token lifecycle', function() {
+
+    var day = 24 * 60 * 60 * 1000
+
+    function qbo(options) {
+      return client(_.extend({token: 'qyprd-access', tokenSecret: 'access-secret', appCenterBase: base}, consumer, options))
+    }
+
+    function appCenter(code, message, extra) {
+      return {status: 200, body: '<?xml version="1.0" encoding="utf-8"?><ReconnectResponse xmlns="http://platform.intuit.com/api/v1">' +
+                                 '<ErrorMessage>' + message + '</ErrorMessage><ErrorCode>' + code + '</ErrorCode>' +
+                                 (extra || '') + '<ServerTime>2026-10-18T10:00:00Z</ServerTime></ReconnectResponse>'}
+    }
+
+    it('should report the expiry and reconnect window of the token', function() {
+      var created = new Date('2026-01-01T00:00:00Z'),
+          client  = qbo({tokenCreatedAt: created.toISOString()})
+      expect(client.tokenExpiresAt.getTime()).toBe(created.getTime() + 180 * day)
+      expect(client.tokenStatus(new Date(created.getTime() + 100 * day))).toEqual({
+        expiresAt: client.tokenExpiresAt, expired: false, renewable: false, daysLeft: 80
+      })
+      expect(client.tokenStatus(new Date(created.getTime() + 160 * day)).renewable).toBe(true)
+      expect(client.tokenStatus(new Date(created.getTime() + 181 * day))).toEqual({
+        expiresAt: client.tokenExpiresAt, expired: true, renewable: false, daysLeft: 0
+      })
+      expect(qbo().tokenStatus().expiresAt).toBe(undefined)
+    })
+
+    it('should pick the connections due for renewal, soonest first', function() {
+      var now = new Date('2026-10-18T00:00:00Z'),
+          connections = [
+            {realmId: 'fresh', createdAt: new Date(now.getTime() - 10 * day)},
+            {realmId: 'later', expiresAt: new Date(now.getTime() + 20 * day).toISOString()},
+            {realmId: 'expired', expiresAt: new Date(now.getTime() - day)},
+            {realmId: 'unknown'},
+            qbo({realmId: 'soon', tokenExpiresAt: new Date(now.getTime() + 2 * day)})
+          ]
+      expect(_.pluck(QuickBooks.dueForRenewal(connections, now), 'realmId')).toEqual(['soon', 'later'])
+    })
+
+    it('should renew the token with a signed reconnect and emit tokenRenewed', function(done) {
+      reply = appCenter(0, 'OK', '<OAuthToken>qyprd-renewed</OAuthToken><OAuthTokenSecret>renewed-secret</OAuthTokenSecret>')
+      var client = qbo({tokenCreatedAt: new Date(Date.now() - 170 * day)}), renewed = []
+      client.on('tokenRenewed', function(accessToken) { renewed.push(accessToken) })
+      client.reconnect().then(function(accessToken) {
+        expect(accessToken.token).toBe('qyprd-renewed')
+        expect(accessToken.tokenSecret).toBe('renewed-secret')
+        expect(accessToken.expiresAt.getTime() - accessToken.createdAt.getTime()).toBe(180 * day)
+        expect(client.token).toBe('qyprd-renewed')
+        expect(client.tokenSecret).toBe('renewed-secret')
+        expect(client.tokenExpiresAt).toBe(accessToken.expiresAt)
+        expect(client.tokenStatus().renewable).toBe(false)
+        expect(renewed).toEqual([accessToken])
+        expect(received[0].method).toBe('GET')
+        expect(received[0].url).toBe('/api/v1/connection/reconnect')
+        var sent = params(received[0].headers.authorization)
+        expect(sent.oauth_token).toBe('qyprd-access')
+        var extra = _.omit(sent, 'oauth_consumer_key', 'oauth_signature_method', 'oauth_version', 'oauth_signature', 'oauth_token')
+        expect(params(oauth.authorization('GET', base + received[0].url, _.extend({token: 'qyprd-access', tokenSecret: 'access-secret'}, consumer), extra)).oauth_signature)
+          .toBe(sent.oauth_signature)
+        done()
+      }).catch(done)
+    })
+
+    it('should fail reconnects outside the window without emitting tokenRejected', function(done) {
+      reply = appCenter(212, 'Token Refresh Window Out of Bounds')
+      var client = qbo(), rejected = []
+      client.on('tokenRejected', function(err) { rejected.push(err) })
+      client.reconnect(function(err) {
+        expect(err).toBeA(QuickBooks.OAuthError)
+        expect(err.code).toBe('212')
+        expect(err.message).toBe('App Center reconnect failed: Token Refresh Window Out of Bounds')
+        expect(client.token).toBe('qyprd-access')
+        expect(rejected.length).toBe(0)
+        done()
+      })
+    })
+
+    it('should emit tokenRejected when a reconnect finds the token invalid', function(done) {
+      reply = appCenter(270, 'OAuth Token rejected')
+      var client = qbo({tokenExpiresAt: new Date(Date.now() - day)}), rejected = []
+      client.on('tokenRejected', function(err, connection) { rejected.push([err, connection]) })
+      client.reconnect(function(err) {
+        expect(err.code).toBe('270')
+        expect(rejected.length).toBe(1)
+        expect(rejected[0][0]).toBe(err)
+        expect(rejected[0][1]).toEqual({realmId: '1234', expired: true})
+        done()
+      })
+    })
+
+    it('should disconnect the company', function(done) {
+      reply = appCenter(0, 'OK')
+      qbo().disconnect(function(err) {
+        expect(err).toBe(null)
+        expect(received[0].url).toBe('/api/v1/connection/disconnect')
+        done()
+      })
+    })
+
+    it('should emit tokenRejected when an api call fails with a 401', function(done) {
+      var status = 401, rejected = []
+      var client = qbo({transport: {send: function(req, callback) {
+        callback(null, {statusCode: status, headers: {}, body: JSON.stringify({Fault: {type: 'AUTHENTICATION',
+          Error: [{Message: 'message=AuthenticationFailed; errorCode=003200; statusCode=401', code: '3200'}]}})})
+      }}})
+      client.on('tokenRejected', function(err, connection) { rejected.push([err, connection]) })
+      client.withOptions({timeout: 1000}).getInvoice('42', function(err) {
+        expect(err).toBeA(QuickBooks.AuthenticationFault)
+        expect(rejected.length).toBe(1)
+        expect(rejected[0][0]).toBe(err)
+        expect(rejected[0][1]).toEqual({realmId: '1234', expired: false})
+        status = 403
+        client.getInvoice('42', function(err) {
+          expect(err).toBeA(QuickBooks.AuthenticationFault)
+          expect(rejected.length).toBe(1)
+          done()
+        })
+      })
+    })
+
+  })
+
+  describe('handler', function() {
+
+    var app, appBase, connected
+
+    function get(path, cookie, callback) {
+      var headers = cookie ? {cookie: cookie} : {}
+      http.get({host: '127.0.0.1', port: app.address().port, path: '/quickbooks' + path, headers: headers}, function(res) {
+        var chunks = []
+        res.on('data', function(chunk) { chunks.push(chunk) })
+        res.on('end', function() { callback(res, Buffer.concat(chunks).toString()) })
+      })
+    }
+
+    // starts a flow, calling back with its state cookie and state
+    function start(callback) {
+      get('/requestToken', null, function(res) {
+        var cookie = res.headers['set-cookie'][0].split(';')[0],
+            state  = cookie.split('=')[1]
+        callback(cookie, state, res)
+      })
+    }
+
+    before(function(done) {
+      var handler = QuickBooks.Connect.handler(_.extend({}, consumer, {
+        quickbooks: {useSandbox: true, requestTokenUrl: base + '/oauth/v1/get_request_token',
+                     accessTokenUrl: base + '/oauth/v1/get_access_token', appCenterBase: 'https://appcenter.example.com'},
+        onConnect: function(qbo, accessToken, req, callback) {
+          connected.push({qbo: qbo, accessToken: accessToken})
+          callback()
+        }
+      }))
+      // mounted like app.use('/quickbooks', handler) in Express
+      app = http.createServer(function(req, res) {
+        if (req.url.indexOf('/quickbooks/') !== 0) {
+          res.statusCode = 404
+          return res.end()
+        }
+        req.baseUrl = '/quickbooks'
+        req.url = req.url.substring('/quickbooks'.length)
+        handler(req, res)
+      })
+      app.listen(0, '127.0.0.1', function() {
+        appBase = 'http://127.0.0.1:' + app.address().port
+        done()
+      })
+    })
+
+    after(function(done) {
+      app.close(done)
+    })
+
+    beforeEach(function() {
+      connected = []
+      reply = function(req) {
+        return req.url.match(/request_token/) ?
+          {status: 200, body: {oauth_token: 'qyprd-request', oauth_token_secret: 'request-secret', oauth_callback_confirmed: 'true'}} :
+          {status: 200, body: {oauth_token: 'qyprd-access', oauth_token_secret: 'access-secret'}}
+      }
+    })
+
+    it('should serve the Connect to QuickBooks button', function(done) {
+      get('/start', null, function(res, body) {
+        expect(res.statusCode).toBe(200)
+        expect(body.indexOf('https://appcenter.example.com/Content/IA/intuit.ipp.anywhere-1.3.1.js')).toNotBe(-1)
+        expect(body.indexOf('"grantUrl":"/quickbooks/requestToken"')).toNotBe(-1)
+        done()
+      })
+    })
+
+    it('should redirect to App Center with a state bound to the browser', function(done) {
+      start(function(cookie, state, res) {
+        expect(res.statusCode).toBe(302)
+        expect(res.headers.location).toBe('https://appcenter.example.com/Connect/Begin?oauth_token=qyprd-request')
+        expect(state.length).toBe(48)
+        expect(res.headers['set-cookie'][0]).toMatch(/; Path=\/quickbooks; Max-Age=600; HttpOnly; SameSite=Lax$/)
+        var sent = params(received[0].headers.authorization)
+        expect(sent.oauth_callback).toBe(appBase + '/quickbooks/callback?state=' + state)
+        done()
+      })
+    })
+
+    it('should connect the company and call onConnect with a QuickBooks instance', function(done) {
+      start(function(cookie, state) {
+        get('/callback?state=' + state + '&oauth_token=qyprd-request&oauth_verifier=verifier&realmId=1234&dataSource=QBO', cookie, function(res, body) {
+          expect(res.statusCode).toBe(200)
+          expect(body.indexOf('window.close()')).toNotBe(-1)
+          expect(res.headers['set-cookie'][0]).toMatch(/^qbo_connect_state=; .*Max-Age=0/)
+          expect(connected.length).toBe(1)
+          var qbo = connected[0].qbo
+          expect(qbo).toBeA(QuickBooks)
+          expect(qbo.token).toBe('qyprd-access')
+          expect(qbo.tokenSecret).toBe('access-secret')
+          expect(qbo.realmId).toBe('1234')
+          expect(qbo.tokenExpiresAt).toEqual(connected[0].accessToken.expiresAt)
+          expect(qbo.consumerKey).toBe('consumer-key')
+          expect(qbo.endpoint).toBe(QuickBooks.V3_ENDPOINT_BASE_URL)
+          expect(connected[0].accessToken.dataSource).toBe('QBO')
+          expect(params(received[1].headers.authorization).oauth_verifier).toBe('verifier')
+          done()
+        })
+      })
+    })
+
+    it('should answer callbacks without a realmId with a 400', function(done) {
+      start(function(cookie, state) {
+        get('/callback?state=' + state + '&oauth_token=qyprd-request&oauth_verifier=verifier', cookie, function(res, body) {
+          expect(res.statusCode).toBe(400)
+          expect(body).toBe('The callback is missing the realmId')
+          expect(connected.length).toBe(0)
+          done()
+        })
+      })
+    })
+
+    it('should answer callbacks without a verifier with a 400', function(done) {
+      start(function(cookie, state) {
+        get('/callback?state=' + state + '&oauth_token=qyprd-request&realmId=1234', cookie, function(res, body) {
+          expect(res.statusCode).toBe(400)
+          expect(body).toBe('The callback is missing the oauth_verifier')
+          expect(connected.length).toBe(0)
+          done()
+        })
+      })
+    })
+
+    it('should reject callbacks from another browser, replayed or with another request token', function(done) {
+      start(function(cookie, state) {
+        var query = '/callback?state=' + state + '&oauth_token=qyprd-request&oauth_verifier=verifier&realmId=1234'
+        get(query, null, function(res, body) {
+          expect(res.statusCode).toBe(403)
+          expect(body).toBe('The connect state does not match the one of this browser')
+          get(query.replace('qyprd-request', 'qyprd-other'), cookie, function(res, body) {
+            expect(res.statusCode).toBe(403)
+            expect(body).toBe('The request token does not match the connect state')
+            get(query, cookie, function(res, body) {
+              expect(res.statusCode).toBe(403)
+              expect(body).toBe('Unknown or already used connect state')
+              expect(connected.length).toBe(0)
+              done()
+            })
+          })
+        })
+      })
+    })
+
+  })
+
+})
@@ -0,0 +1,85 @@
+var expect     = require('expect'),
+    errors     = require('../lib/errors'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('Errors', function() {
+
+  function fault(type, code, message, detail, element) {
+    return {
+      Fault: {
+        Error: [{Message: message, Detail: detail, code: code, element: element}],
+        type: type
+      },
+      time: '2015-06-01T10:00:00.000-07:00'
+    }
+  }
+
+  it('should return null for successful responses', function() {
+    expect(errors.fromResponse({statusCode: 200, headers: {}}, {Invoice: {Id: '1'}})).toBe(null)
+  })
+
+  it('should map a ValidationFault and carry the response details', function() {
+    var body = fault('ValidationFault', '2020', 'Required param missing', 'Required parameter Line is missing', 'Line'),
+        err  = errors.fromResponse({statusCode: 400, headers: {intuit_tid: 'abc-123'}}, body)
+    expect(err).toBeA(QuickBooks.ValidationFault)
+    expect(err).toBeA(QuickBooks.QuickBooksError)
+    expect(err).toBeA(Error)
+    expect(err.name).toBe('ValidationFault')
+    expect(err.statusCode).toBe(400)
+    expect(err.code).toBe('2020')
+    expect(err.element).toBe('Line')
+    expect(err.detail).toBe('Required parameter Line is missing')
+    expect(err.intuitTid).toBe('abc-123')
+    expect(err.body).toBe(body)
+    expect(err.message).toBe('Required param missing: Required parameter Line is missing')
+  })
+
+  it('should map Fault codes to specific error types', function() {
+    expect(errors.fromResponse({statusCode: 400}, fault('ValidationFault', '5010', 'Stale Object Error'))).toBeA(errors.StaleObjectError)
+    expect(errors.fromResponse({statusCode: 400}, fault('ValidationFault', '610', 'Object Not Found'))).toBeA(errors.NotFound)
+    expect(errors.fromResponse({statusCode: 429}, fault('ThrottleExceeded', '003001', 'ThrottleExceeded'))).toBeA(errors.ThrottleError)
+    expect(errors.fromResponse({statusCode: 401}, fault('AuthenticationFault', '100', 'General Authentication Error'))).toBeA(errors.AuthenticationFault)
+    expect(errors.fromResponse({statusCode: 500}, fault('SystemFault', '10000', 'An application error has occurred'))).toBeA(errors.ServiceFault)
+  })
+
+  it('should map Fault bodies returned with a 200 status', function() {
+    var err = errors.fromResponse({statusCode: 200}, fault('ValidationFault', '6000', 'A business validation error has occurred'))
+    expect(err).toBeA(errors.ValidationFault)
+  })
+
+  it('should map Payments errors arrays', function() {
+    var err = errors.fromResponse({statusCode: 400, headers: {}}, {
+      errors: [{code: 'PMT-4000', type: 'invalid_request', message: 'card.number is invalid.', detail: 'card.number'}]
+    })
+    expect(err).toBeA(errors.ValidationFault)
+    expect(err.code).toBe('PMT-4000')
+    expect(err.errors.length).toBe(1)
+  })
+
+  it('should map HTTP errors without a parsable body', function() {
+    var err = errors.fromResponse({statusCode: 503, headers: {}}, '<html>Service Unavailable</html>')
+    expect(err).toBeA(errors.ServiceFault)
+    expect(err.statusCode).toBe(503)
+    expect(err.detail).toBe('<html>Service Unavailable</html>')
+  })
+
+  it('should parse Fault bodies of binary responses', function() {
+    var err = errors.fromResponse({statusCode: 404}, Buffer.from(JSON.stringify(fault('ValidationFault', '610', 'Object Not Found'))))
+    expect(err).toBeA(errors.NotFound)
+  })
+
+  it('should pass the raw response body along with the error', function(done) {
+    var body = fault('ValidationFault', '6240', 'Duplicate Name Exists Error')
+    var qbo = client({realmId: 'errors-test', transport: {
+      send: function(req, callback) { callback(null, {statusCode: 400, headers: {}, body: body}) }
+    }})
+    qbo.createCustomer({DisplayName: 'Duplicate'}, function(err, data) {
+      expect(err).toBeA(errors.ValidationFault)
+      expect(data).toEqual(body)
+      done()
+    })
+  })
+
+})
@@ -0,0 +1,105 @@
+var expect     = require('expect'),
+    zlib       = require('zlib'),
+    fs         = require('fs'),
+    os         = require('os'),
+    path       = require('path'),
+    QuickBooks = require('../index'),
+    Export     = QuickBooks.Export;
+
+
+describe('Export', function() {
+
+  var balanceSheet = {
+    Header: {ReportName: 'BalanceSheet'},
+    Columns: {Column: [{ColTitle: '', ColType: 'Account'}, {ColTitle: 'Total', ColType: 'Money'}]},
+    Rows: {
+      Row: [{
+        type: 'Section',
+        group: 'TotalAssets',
+        Header: {ColData: [{value: 'ASSETS'}, {value: ''}]},
+        Rows: {
+          Row: [{
+            type: 'Section',
+            Header: {ColData: [{value: 'Bank Accounts'}, {value: ''}]},
+            Rows: {Row: [{type: 'Data', ColData: [{value: 'Checking, "Main"'}, {value: '1201.00'}]}]},
+            Summary: {ColData: [{value: 'Total Bank Accounts'}, {value: '1201.00'}]}
+          }]
+        },
+        Summary: {ColData: [{value: 'TOTAL ASSETS'}, {value: '1201.00'}]}
+      }]
+    }
+  }
+
+  var invoices = {
+    QueryResponse: {
+      Invoice: [
+        {Id: '1', DocNumber: '1001', TotalAmt: 10.5, CustomerRef: {value: '3', name: "Amy's Bird Sanctuary"}},
+        {Id: '2', DocNumber: '1002', TotalAmt: 20, CustomerRef: {value: '4'}, PrivateNote: 'line one\nline two', Line: [{Amount: 20}]}
+      ],
+      startPosition: 1,
+      maxResults: 2
+    }
+  }
+
+  function unzip(buffer) {
+    var files = {}, offset = 0
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+      var size = buffer.readUInt32LE(offset + 18),
+          nameLength = buffer.readUInt16LE(offset + 26),
+          name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength),
+          start = offset + 30 + nameLength
+      files[name] = zlib.inflateRawSync(buffer.slice(start, start + size)).toString('utf8')
+      offset = start + size
+    }
+    return files
+  }
+
+  it('should export reports to CSV with indented sections and subtotals', function() {
+    expect(Export.toCsv(balanceSheet)).toBe(
+      ',Total\r\n' +
+      'ASSETS,\r\n' +
+      '  Bank Accounts,\r\n' +
+      '"    Checking, ""Main""",1201\r\n' +
+      '  Total Bank Accounts,1201\r\n' +
+      'TOTAL ASSETS,1201\r\n')
+  })
+
+  it('should export query results to CSV with flattened references', function() {
+    var csv = Export.toCsv(invoices, {delimiter: ';'})
+    expect(csv.split('\r\n')[0]).toBe('Id;DocNumber;TotalAmt;CustomerRef.value;CustomerRef.name;PrivateNote;Line')
+    expect(csv.split('\r\n')[1]).toBe("1;1001;10.5;3;Amy's Bird Sanctuary;;")
+    expect(csv.indexOf('"line one\nline two";"[{""Amount"":20}]"')).toNotBe(-1)
+  })
+
+  it('should export only the selected columns', function() {
+    expect(Export.toCsv(invoices.QueryResponse.Invoice, {columns: ['DocNumber', 'CustomerRef.name'], header: false}))
+      .toBe("1001,Amy's Bird Sanctuary\r\n1002,\r\n")
+  })
+
+  it('should export reports to XLSX', function() {
+    var files = unzip(Export.toXlsx(balanceSheet))
+    expect(Object.keys(files)).toInclude('xl/worksheets/sheet1.xml')
+    expect(files['xl/workbook.xml'].indexOf('name="BalanceSheet"')).toNotBe(-1)
+    var sheet = files['xl/worksheets/sheet1.xml']
+    expect(sheet.indexOf('<c r="B4"><v>1201</v></c>')).toNotBe(-1)
+    expect(sheet.indexOf('Checking, &quot;Main&quot;')).toNotBe(-1)
+    expect(files['xl/styles.xml'].indexOf('indent="2"')).toNotBe(-1)
+  })
+
+  it('should write CSV and XLSX files', function(done) {
+    var csv = path.join(os.tmpdir(), 'node-quickbooks-export-' + process.pid + '.csv'),
+        xlsx = path.join(os.tmpdir(), 'node-quickbooks-export-' + process.pid + '.xlsx')
+    Export.writeCsv(invoices, csv, function(err) {
+      expect(err).toBe(null)
+      Export.writeXlsx(invoices, xlsx, {sheetName: 'Invoices'}, function(err) {
+        expect(err).toBe(null)
+        expect(fs.readFileSync(csv, 'utf8').split('\r\n').length).toBe(4)
+        expect(unzip(fs.readFileSync(xlsx))['xl/workbook.xml'].indexOf('name="Invoices"')).toNotBe(-1)
+        fs.unlinkSync(csv)
+        fs.unlinkSync(xlsx)
+        done()
+      })
+    })
+  })
+
+})
@@ -0,0 +1,127 @@
+var expect     = require('expect'),
+    async      = require('async'),
+    os         = require('os'),
+    fs         = require('fs'),
+    path       = require('path'),
+    _          = require('underscore'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('Fixtures', function() {
+
+  var server = new QuickBooks.MockServer(),
+      file   = path.join(os.tmpdir(), 'qbo-fixtures-' + process.pid + '.json'),
+      card   = {name: 'Brad Smith', number: '4111111111111111', expMonth: '02', expYear: '2030', cvc: '123'}
+
+  before(function(done) {
+    server.listen(done)
+  })
+
+  after(function(done) {
+    if (fs.existsSync(file)) fs.unlinkSync(file)
+    server.close(done)
+  })
+
+  // The same calls, made in record mode against the mock server and in replay mode without any server
+  function scenario(qbo, callback) {
+    var results = {}
+    async.series([function(cb) {
+      qbo.createCustomer({DisplayName: 'Acme'}, function(err, customer) {
+        results.customer = customer
+        cb(err)
+      })
+    }, function(cb) {
+      qbo.findCustomers({DisplayName: 'Acme'}, function(err, data) {
+        results.found = data.QueryResponse.Customer
+        cb(err)
+      })
+    }, function(cb) {
+      qbo.getCustomer('99', function(err) {
+        results.notFound = err
+        cb()
+      })
+    }, function(cb) {
+      qbo.cardToken({card: card}, function(err, token) {
+        if (err) return cb(err)
+        qbo.charge({amount: '42.21', currency: 'USD', token: token.value}, function(err, charge) {
+          results.charge = charge
+          cb(err)
+        })
+      })
+    }, function(cb) {
+      qbo.getCompanyInfo(qbo.realmId, function(err, info) {
+        results.info = info
+        cb(err)
+      })
+    }], function(err) {
+      callback(err || null, results)
+    })
+  }
+
+  it('should record interactions without credentials, card numbers or tokens', function(done) {
+    var qbo = new QuickBooks(_.extend(server.config('1234'), {fixtures: {file: file, mode: 'record'}}))
+    scenario(qbo, function(err, results) {
+      expect(err).toBe(null)
+      expect(results.found.length).toBe(1)
+      var json = fs.readFileSync(file, 'utf8'), recorded = JSON.parse(json)
+      expect(recorded.length).toBe(6)
+      expect(json.indexOf('4111111111111111')).toBe(-1)
+      expect(json.indexOf('mock-token')).toBe(-1)
+      expect(json.indexOf('mock-consumer')).toBe(-1)
+      expect(json.indexOf('"cvc": "123"')).toBe(-1)
+      expect(json.indexOf('xxxxxxxxxxxx1111')).toNotBe(-1)
+      expect(recorded[3].request.path).toBe('/tokens')
+      expect(recorded[3].response.body.value).toBe('[SCRUBBED]')
+      expect(recorded[4].request.body.token).toBe('[SCRUBBED]')
+      expect(recorded[1].request.query.query).toBe('select * from customer where DisplayName = \'Acme\'')
+      done()
+    })
+  })
+
+  it('should replay the recorded interactions for any realm without a server', function(done) {
+    var qbo = client({
+      endpoint: 'http://127.0.0.1:1/v3/company/', paymentEndpoint: 'http://127.0.0.1:1/quickbooks/v4/payments',
+      fixtures: new QuickBooks.Fixtures({file: file, mode: 'replay'})
+    })
+    var requests = server.requests.length
+    scenario(qbo, function(err, results) {
+      expect(err).toBe(null)
+      expect(results.customer.DisplayName).toBe('Acme')
+      expect(results.found[0].Id).toBe(results.customer.Id)
+      expect(results.notFound).toBeA(QuickBooks.NotFound)
+      expect(results.charge.amount).toBe(42.21)
+      expect(results.info.CompanyName).toBe('Mock Company 1234')
+      expect(qbo.fixtures.pending().length).toBe(0)
+      expect(server.requests.length).toBe(requests)
+      done()
+    })
+  })
+
+  it('should fail clearly on requests that were not recorded', function(done) {
+    var fixtures = new QuickBooks.Fixtures({file: file, mode: 'replay'}),
+        qbo = new QuickBooks(_.extend(server.config('1234'), {fixtures: fixtures}))
+    qbo.getCustomer('1', function(err) {
+      expect(err).toBeA(QuickBooks.Fixtures.UnmatchedRequestError)
+      expect(err.message.indexOf('GET /customer/1')).toNotBe(-1)
+      expect(err.request.path).toBe('/customer/1')
+      done()
+    })
+  })
+
+  it('should match regardless of query parameter order, whitespace and body key order', function() {
+    var fixtures = new QuickBooks.Fixtures({file: file, mode: 'record'})
+    var a = fixtures.normalize('GET', '/reports/ProfitAndLoss?start_date=2014-01-01&end_date=2014-12-31', {}),
+        b = fixtures.normalize('get', '/reports/ProfitAndLoss?end_date=2014-12-31&start_date=2014-01-01', {})
+    expect(JSON.stringify(a)).toBe(JSON.stringify(b))
+    expect(fixtures.normalize('get', '/query?query=select%20*%20%20from%20Item%20').query.query).toBe('select * from Item')
+    expect(_.keys(fixtures.normalize('get', '/cdc?entities=Item&changedSince=2014-01-01').query)).toEqual(['entities'])
+    var replay = new QuickBooks.Fixtures({file: file, mode: 'replay'})
+    replay.interactions = [{request: replay.normalize('post', '/customer', null, {DisplayName: 'Acme', Active: true}),
+                            response: {statusCode: 200, body: {}}}]
+    expect(replay.match(replay.normalize('post', '/customer', null, {Active: true, DisplayName: 'Acme'}))).toBe(replay.interactions[0])
+    expect(QuickBooks.Fixtures.scrub({card: {number: '4111 1111 1111 1111', cvc: '123'}}))
+      .toEqual({card: {number: 'xxxxxxxxxxxx1111', cvc: '[SCRUBBED]'}})
+  })
+
+})
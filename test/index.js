@@ -6,10 +6,11 @@ var os         = require('os'),
     _          = require('underscore'),
     config     = require('../config'),
     QuickBooks = require('../index'),
-    qbo        = new QuickBooks(config);
+    sandbox    = require('./support/sandbox'),
+    qbo        = sandbox.configured && new QuickBooks(config);
 
 
-describe('Attachable CRUDQ', function() {
+sandbox.describe('Attachable CRUDQ', function() {
 
   this.timeout(15000);
 
@@ -67,7 +68,7 @@ describe('Attachable CRUDQ', function() {
 })
 
 
-describe('Query', function() {
+sandbox.describe('Query', function() {
 
   this.timeout(15000);
 
@@ -102,7 +103,7 @@ describe('Query', function() {
 
   var queries = fs.readFileSync('build/query.txt').toString('utf-8').split(os.EOL)
   queries.forEach(function(q) {
-    it('should fetch ' + qbo.capitalize(q), function (done) {
+    it('should fetch ' + QuickBooks.prototype.capitalize(q), function (done) {
       qbo['find' +  qbo.pluralize(qbo.capitalize(q))].call(qbo, function(err, data) {
         expect(err).toBe(null)
         expect(data.Fault).toBe(undefined)
@@ -115,7 +116,25 @@ describe('Query', function() {
 })
 
 
-describe('Reports', function() {
+sandbox.describe('Promises', function() {
+
+  this.timeout(15000);
+
+  it('should return a Promise when no callback is passed', function (done) {
+    qbo.findAccounts({AccountType: 'Expense'}).then(function(accounts) {
+      expect(accounts.Fault).toBe(undefined)
+      expect(accounts.QueryResponse.Account.length).toBeGreaterThan(0)
+      return qbo.getAccount(accounts.QueryResponse.Account[0].Id)
+    }).then(function(account) {
+      expect(account.AccountType).toBe('Expense')
+      done()
+    }).catch(done)
+  })
+
+})
+
+
+sandbox.describe('Reports', function() {
 
   this.timeout(30000);
 
@@ -134,7 +153,7 @@ describe('Reports', function() {
 })
 
 
-describe('SalesReceipt', function() {
+sandbox.describe('SalesReceipt', function() {
 
   this.timeout(30000);
 
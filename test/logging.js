@@ -0,0 +1,108 @@
+var expect     = require('expect'),
+    _          = require('underscore'),
+    QuickBooks = require('../index');
+
+
+describe('Logging', function() {
+
+  var server = new QuickBooks.MockServer(),
+      card   = {name: 'Brad Smith', number: '4111111111111111', expMonth: '02', expYear: '2030', cvc: '123'},
+      events
+
+  var logger = {}
+  _.each(['debug', 'info', 'warn', 'error'], function(level) {
+    logger[level] = function(event) {
+      events.push(_.extend({level: level}, event))
+    }
+  })
+
+  function qbo(options) {
+    return new QuickBooks(_.extend(server.config('1234'), {logger: logger}, options))
+  }
+
+  function find(level, event) {
+    return _.filter(events, function(e) { return e.level === level && e.event === event })
+  }
+
+  before(function(done) {
+    server.listen(done)
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    server.reset()
+    events = []
+  })
+
+  it('should log the method, url, status, duration and intuit_tid of every request', function(done) {
+    qbo().getCompanyInfo('1234', function(err) {
+      expect(err).toBe(null)
+      var info = find('info', 'response')
+      expect(info.length).toBe(1)
+      expect(info[0].method).toBe('GET')
+      expect(info[0].url).toBe(server.endpoint + '1234/companyinfo/1234')
+      expect(info[0].status).toBe(200)
+      expect(typeof info[0].duration).toBe('number')
+      expect(info[0].intuit_tid.length).toBe(24)
+      expect(info[0].realmId).toBe('1234')
+      expect(info[0].message.indexOf('GET ' + server.endpoint + '1234/companyinfo/1234 200')).toBe(0)
+      expect(find('debug', 'request')[0].headers.Accept).toBe('application/json')
+      expect(find('debug', 'response body')[0].body.CompanyInfo.CompanyName).toBe('Mock Company 1234')
+      done()
+    })
+  })
+
+  it('should redact OAuth headers, tokens and card data', function(done) {
+    var client = qbo()
+    client.cardToken({card: card}, function(err, token) {
+      expect(err).toBe(null)
+      client.charge({amount: '42.21', currency: 'USD', token: token.value}, function(err) {
+        expect(err).toBe(null)
+        var logged = JSON.stringify(events)
+        expect(logged.indexOf('4111111111111111')).toBe(-1)
+        expect(logged.indexOf(token.value)).toBe(-1)
+        expect(logged.indexOf('"cvc":"123"')).toBe(-1)
+        expect(logged.indexOf('mock-token')).toBe(-1)
+        expect(logged.indexOf('OAuth ')).toBe(-1)
+        var requests = find('debug', 'request')
+        expect(requests[0].headers.Authorization).toBe(undefined)
+        expect(requests[0].body.card.number).toBe('xxxxxxxxxxxx1111')
+        expect(requests[1].body.token).toBe('[SCRUBBED]')
+        expect(find('debug', 'response body')[0].body.value).toBe('[SCRUBBED]')
+        done()
+      })
+    })
+  })
+
+  it('should log client errors as warnings and retried server errors as errors', function(done) {
+    server.fail({status: 503, times: 1})
+    qbo({retry: {minDelay: 1}}).getInvoice('404', function(err) {
+      expect(err).toBeA(QuickBooks.NotFound)
+      var errors = find('error', 'response'), warnings = find('warn', 'response')
+      expect(errors.length).toBe(1)
+      expect(errors[0].status).toBe(503)
+      expect(errors[0].retrying).toBe(true)
+      expect(errors[0].attempt).toBe(1)
+      expect(warnings.length).toBe(1)
+      expect(warnings[0].status).toBe(400)
+      expect(warnings[0].attempt).toBe(2)
+      expect(warnings[0].error.name).toBe('NotFound')
+      expect(warnings[0].retrying).toBe(false)
+      done()
+    })
+  })
+
+  it('should log unredacted data when redaction is turned off', function(done) {
+    qbo({redact: false}).cardToken({card: card}, function(err) {
+      expect(err).toBe(null)
+      var request = find('debug', 'request')[0]
+      expect(request.body.card.number).toBe('4111111111111111')
+      expect(request.body.card.cvc).toBe('123')
+      done()
+    })
+  })
+
+})
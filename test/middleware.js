@@ -0,0 +1,116 @@
+var expect     = require('expect'),
+    _          = require('underscore'),
+    QuickBooks = require('../index');
+
+
+describe('Middleware', function() {
+
+  var server = new QuickBooks.MockServer(),
+      card   = {name: 'Brad Smith', number: '4111111111111111', expMonth: '02', expYear: '2030', cvc: '123'}
+
+  function qbo(options) {
+    return new QuickBooks(_.extend(server.config('1234'), options))
+  }
+
+  before(function(done) {
+    server.listen(done)
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    server.reset()
+  })
+
+  it('should run in order around accounting and Payments requests', function(done) {
+    var calls = [], client = qbo()
+    client.use(function(request, next, callback) {
+      calls.push('outer ' + request.api + ' ' + request.method)
+      request.headers['X-Correlation-Id'] = 'abc-123'
+      next(function(err, response, body) {
+        calls.push('outer done ' + response.statusCode)
+        callback(err, response, body)
+      })
+    }).use(function(request, next, callback) {
+      expect(this).toBe(client)
+      calls.push('inner ' + request.headers['X-Correlation-Id'])
+      next(callback)
+    })
+    client.getCompanyInfo('1234', function(err, info) {
+      expect(err).toBe(null)
+      expect(info.CompanyName).toBe('Mock Company 1234')
+      client.cardToken({card: card}, function(err, token) {
+        expect(err).toBe(null)
+        expect(token.value.length).toBeGreaterThan(0)
+        expect(calls).toEqual(['outer accounting GET', 'inner abc-123', 'outer done 200',
+                               'outer payments POST', 'inner abc-123', 'outer done 200'])
+        expect(server.requests[0].headers['x-correlation-id']).toBe('abc-123')
+        expect(server.requests[1].path).toBe('/quickbooks/v4/payments/tokens')
+        done()
+      })
+    })
+  })
+
+  it('should change the request before it is sent', function(done) {
+    qbo({middleware: [function(request, next, callback) {
+      request.entity = _.extend({}, request.entity, {Notes: 'created by the importer'})
+      next(callback)
+    }]}).createCustomer({DisplayName: 'Acme'}, function(err, customer) {
+      expect(err).toBe(null)
+      expect(customer.Notes).toBe('created by the importer')
+      expect(server.requests[0].body.Notes).toBe('created by the importer')
+      done()
+    })
+  })
+
+  it('should answer or refuse requests without sending them', function(done) {
+    var client = qbo().use(function(request, next, callback) {
+      if (request.url.match(/operation=delete/)) return callback(new Error('Deletes are disabled'))
+      if (request.url.match(/\/preferences\/1$/)) return callback(null, {statusCode: 200, headers: {}}, {Preferences: {Id: 'cached'}})
+      next(callback)
+    })
+    client.deleteInvoice({Id: '1', SyncToken: '0'}, function(err) {
+      expect(err.message).toBe('Deletes are disabled')
+      client.getPreferences('1', function(err, preferences) {
+        expect(err).toBe(null)
+        expect(preferences.Id).toBe('cached')
+        expect(server.requests.length).toBe(0)
+        done()
+      })
+    })
+  })
+
+  it('should post-process errors and responses', function(done) {
+    var client = qbo().use(function(request, next, callback) {
+      var started = Date.now()
+      next(function(err, response, body) {
+        if (err) err.elapsed = Date.now() - started
+        if (err instanceof QuickBooks.NotFound) return callback(null, response, {Invoice: {Id: '404', Missing: true}})
+        callback(err, response, body)
+      })
+    })
+    client.getInvoice('404', function(err, invoice) {
+      expect(err).toBe(null)
+      expect(invoice.Missing).toBe(true)
+      client.createCustomer({DisplayName: 'Acme'}, function() {
+        client.createCustomer({DisplayName: 'Acme'}, function(err) {
+          expect(err).toBeA(QuickBooks.ValidationFault)
+          expect(typeof err.elapsed).toBe('number')
+          done()
+        })
+      })
+    })
+  })
+
+  it('should return errors thrown by a middleware', function(done) {
+    qbo().use(function() {
+      throw new Error('broken middleware')
+    }).getInvoice('1', function(err) {
+      expect(err.message).toBe('broken middleware')
+      done()
+    })
+  })
+
+})
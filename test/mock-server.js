@@ -0,0 +1,249 @@
+var expect     = require('expect'),
+    async      = require('async'),
+    moment     = require('moment'),
+    _          = require('underscore'),
+    QuickBooks = require('../index');
+
+
+describe('Mock Server', function() {
+
+  var server = new QuickBooks.MockServer(), qbo
+
+  before(function(done) {
+    server.listen(done)
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    server.reset()
+    qbo = new QuickBooks(server.config('4620816365'))
+  })
+
+  it('should point the client at the configured endpoints', function() {
+    expect(qbo.endpoint).toBe(server.url + '/v3/company/')
+    expect(qbo.paymentEndpoint).toBe(server.url + '/quickbooks/v4/payments')
+  })
+
+  it('should create, read, update and delete entities with SyncTokens', function(done) {
+    var attachable
+    async.series([function(cb) {
+      qbo.createAttachable({Note: 'My File'}, function(err, created) {
+        expect(err).toBe(null)
+        expect(created.Id).toBe('1')
+        expect(created.SyncToken).toBe('0')
+        expect(created.MetaData.CreateTime.length).toBeGreaterThan(0)
+        cb()
+      })
+    }, function(cb) {
+      qbo.getAttachable('1', function(err, read) {
+        expect(err).toBe(null)
+        expect(read.Note).toBe('My File')
+        attachable = read
+        cb()
+      })
+    }, function(cb) {
+      qbo.updateAttachable(_.extend({}, attachable, {Note: 'My Updated File'}), function(err, updated) {
+        expect(err).toBe(null)
+        expect(updated.Note).toBe('My Updated File')
+        expect(updated.SyncToken).toBe('1')
+        cb()
+      })
+    }, function(cb) {
+      qbo.updateAttachable(_.extend({}, attachable, {Note: 'Stale'}), function(err) {
+        expect(err).toBeA(QuickBooks.StaleObjectError)
+        expect(err.code).toBe('5010')
+        cb()
+      })
+    }, function(cb) {
+      qbo.deleteAttachable('1', function(err, deleted) {
+        expect(err).toBe(null)
+        expect(deleted.Attachable.status).toBe('Deleted')
+        cb()
+      })
+    }, function(cb) {
+      qbo.getAttachable('1', function(err) {
+        expect(err).toBeA(QuickBooks.NotFound)
+        expect(err.code).toBe('610')
+        cb()
+      })
+    }], done)
+  })
+
+  it('should reject duplicate names of name list entities', function(done) {
+    server.seed('4620816365', 'Customer', {DisplayName: 'Acme'})
+    qbo.createCustomer({DisplayName: 'acme'}, function(err) {
+      expect(err).toBeA(QuickBooks.ValidationFault)
+      expect(err.code).toBe('6240')
+      done()
+    })
+  })
+
+  it('should reject requests without OAuth credentials', function(done) {
+    var url = server.endpoint + '4620816365/companyinfo/4620816365'
+    new QuickBooks.HttpTransport().send({method: 'GET', url: url, headers: {}}, function(err, res) {
+      expect(res.statusCode).toBe(401)
+      expect(JSON.parse(res.body).Fault.type).toBe('AUTHENTICATION')
+      done()
+    })
+  })
+
+  it('should answer queries with where, orderby and paging', function(done) {
+    server.seed('4620816365', 'Invoice', [
+      {DocNumber: '1001', CustomerRef: {value: '1'}, Line: [{Amount: 50, DetailType: 'SalesItemLineDetail'}]},
+      {DocNumber: '1002', CustomerRef: {value: '2'}, Line: [{Amount: 150, DetailType: 'SalesItemLineDetail'}]},
+      {DocNumber: '1003', CustomerRef: {value: '1'}, Line: [{Amount: 250, DetailType: 'SalesItemLineDetail'}]}
+    ])
+    async.series([function(cb) {
+      qbo.query('Invoice').where('Balance', '>', 100).orderBy('Balance', 'desc').exec(function(err, data) {
+        expect(err).toBe(null)
+        expect(_.pluck(data.QueryResponse.Invoice, 'DocNumber')).toEqual(['1003', '1002'])
+        cb()
+      })
+    }, function(cb) {
+      qbo.findInvoices({CustomerRef: '1', count: true}, function(err, data) {
+        expect(err).toBe(null)
+        expect(data.QueryResponse.totalCount).toBe(2)
+        cb()
+      })
+    }, function(cb) {
+      qbo.findInvoices([{field: 'DocNumber', value: ['1001', '1002'], operator: 'IN'}], function(err, data) {
+        expect(data.QueryResponse.Invoice.length).toBe(2)
+        cb()
+      })
+    }, function(cb) {
+      qbo.findAll('Invoice', {limit: 2}, function(err, invoices) {
+        expect(err).toBe(null)
+        expect(_.pluck(invoices, 'DocNumber')).toEqual(['1001', '1002', '1003'])
+        cb()
+      })
+    }, function(cb) {
+      qbo.findInvoices('where DocNumber = 1001 or DocNumber = 1002', function(err) {
+        expect(err).toBeA(QuickBooks.ValidationFault)
+        expect(err.code).toBe('4000')
+        cb()
+      })
+    }], done)
+  })
+
+  it('should run batches item by item', function(done) {
+    var customer = server.seed('4620816365', 'Customer', {DisplayName: 'Acme'})[0]
+    qbo.batchBuilder()
+      .create('Customer', {DisplayName: 'Globex'})
+      .update('Customer', _.extend({}, customer, {SyncToken: '7'}))
+      .query('select * from Customer')
+      .exec(function(err, results) {
+        expect(err).toBe(null)
+        expect(results.create[0].entity.DisplayName).toBe('Globex')
+        expect(results.failed.length).toBe(1)
+        expect(results.failed[0].error).toBeA(QuickBooks.StaleObjectError)
+        expect(results.query[0].entity.Customer.length).toBe(2)
+        done()
+      })
+  })
+
+  it('should report created, updated and deleted entities through change data capture', function(done) {
+    // a positive timezone offset, whose + must reach the server encoded
+    var since = moment().subtract(1, 'm').utcOffset(120)
+    var attachables = server.seed('4620816365', 'Attachable', [{Note: 'Kept'}, {Note: 'Removed'}])
+    qbo.deleteAttachable(attachables[1], function(err) {
+      expect(err).toBe(null)
+      qbo.changeDataCapture(['Attachable', 'Invoice'], since, function(err, data) {
+        expect(err).toBe(null)
+        var responses = data.CDCResponse[0].QueryResponse
+        expect(responses[0].Attachable.length).toBe(2)
+        expect(_.findWhere(responses[0].Attachable, {Id: attachables[1].Id}).status).toBe('Deleted')
+        expect(responses[1]).toEqual({})
+        done()
+      })
+    })
+  })
+
+  it('should serve configured and empty reports', function(done) {
+    server.setReport('ProfitAndLoss', {Header: {ReportName: 'ProfitAndLoss'}, Columns: {Column: []}, Rows: {Row: [{}]}})
+    qbo.reportProfitAndLoss({start_date: '2014-01-01'}, function(err, report) {
+      expect(err).toBe(null)
+      expect(report.Rows.Row.length).toBe(1)
+      qbo.reportBalanceSheet({start_date: '2014-01-01'}, function(err, report) {
+        expect(err).toBe(null)
+        expect(report.Header.StartPeriod).toBe('2014-01-01')
+        expect(report.Rows).toEqual({})
+        done()
+      })
+    })
+  })
+
+  it('should return pdfs as binary', function(done) {
+    var invoice = server.seed('4620816365', 'Invoice', {DocNumber: '1001'})[0]
+    qbo.getInvoicePdf(invoice.Id, function(err, pdf) {
+      expect(err).toBe(null)
+      expect(Buffer.isBuffer(pdf)).toBe(true)
+      expect(pdf.toString('utf8', 0, 5)).toBe('%PDF-')
+      done()
+    })
+  })
+
+  it('should tokenize, charge, capture and refund cards', function(done) {
+    var card = {name: 'Brad Smith', number: '4111111111111111', expMonth: '02', expYear: '2030', cvc: '123'},
+        chargeId, refundId
+    async.series([function(cb) {
+      qbo.cardToken({card: card}, function(err, token) {
+        expect(err).toBe(null)
+        qbo.charge({amount: '42.21', currency: 'USD', token: token.value}, function(err, charge) {
+          expect(err).toBe(null)
+          expect(charge.amount).toBe(42.21)
+          expect(charge.status).toBe('AUTHORIZED')
+          expect(charge.card.number).toBe('xxxxxxxxxxxx1111')
+          chargeId = charge.id
+          cb()
+        })
+      })
+    }, function(cb) {
+      qbo.capture(chargeId, {amount: 42.21}, function(err, charge) {
+        expect(err).toBe(null)
+        expect(charge.status).toBe('CAPTURED')
+        cb()
+      })
+    }, function(cb) {
+      qbo.refund(chargeId, {amount: 40}, function(err, refund) {
+        expect(err).toBe(null)
+        expect(refund.amount).toBe(40)
+        refundId = refund.id
+        cb()
+      })
+    }, function(cb) {
+      qbo.getRefund(chargeId, refundId, function(err, refund) {
+        expect(err).toBe(null)
+        expect(refund.status).toBe('ISSUED')
+        cb()
+      })
+    }, function(cb) {
+      qbo.refund(chargeId, {amount: 10}, function(err) {
+        expect(err).toBeA(QuickBooks.ValidationFault)
+        expect(err.code).toBe('PMT-4000')
+        cb()
+      })
+    }, function(cb) {
+      qbo.charge({amount: '1.00', currency: 'USD', card: _.extend({}, card, {number: '4111111111111112'})}, function(err) {
+        expect(err).toBeA(QuickBooks.ValidationFault)
+        expect(err.element).toBe(undefined)
+        expect(err.detail).toBe('card.number')
+        cb()
+      })
+    }], done)
+  })
+
+  it('should fail requests on demand', function(done) {
+    server.fail({status: 503, path: '/companyinfo'})
+    var retrying = new QuickBooks(_.extend(server.config('4620816365'), {retry: {minDelay: 1}}))
+    retrying.getCompanyInfo('4620816365', function(err, info) {
+      expect(err).toBe(null)
+      expect(info.CompanyName).toBe('Mock Company 4620816365')
+      expect(server.requests.length).toBe(2)
+      done()
+    })
+  })
+
+})
@@ -0,0 +1,79 @@
+var expect     = require('expect'),
+    _          = require('underscore'),
+    client     = require('./support/client');
+
+
+describe('Pagination', function() {
+
+  var customers, queries
+
+  var qbo = client({realmId: 'paginator-test', transport: {
+    send: function(req, callback) {
+      var query = decodeURIComponent(req.url.split('query=')[1]),
+          start = Number(query.match(/startposition (\d+)/)[1]),
+          max   = Number(query.match(/maxresults (\d+)/)[1]),
+          page  = customers.slice(start - 1, start - 1 + max)
+      queries.push(query)
+      setImmediate(function() {
+        callback(null, {statusCode: 200, headers: {}, body: {QueryResponse: page.length ? {Customer: page} : {}}})
+      })
+    }
+  }})
+
+  beforeEach(function() {
+    customers = _.map(_.range(1, 8), function(i) { return {Id: String(i), DisplayName: 'Customer ' + i} })
+    queries = []
+  })
+
+  it('should fetch every page with findAll', function(done) {
+    qbo.findAll('Customer', {Active: true, asc: 'DisplayName', limit: 3}, function(err, all) {
+      expect(err).toBe(null)
+      expect(all.length).toBe(7)
+      expect(all[6].Id).toBe('7')
+      expect(queries.length).toBe(3)
+      expect(queries[0]).toMatch(/where Active = 'true'/)
+      expect(queries[0]).toMatch(/orderby DisplayName asc/)
+      expect(queries[2]).toMatch(/startposition 7 maxresults 3/)
+      done()
+    })
+  })
+
+  it('should return a Promise from findAll without a callback', function(done) {
+    qbo.findAll('Customer').then(function(all) {
+      expect(all.length).toBe(7)
+      expect(queries.length).toBe(1)
+      done()
+    }).catch(done)
+  })
+
+  it('should stop paging when the iterator is abandoned', function(done) {
+    var iterator = qbo.iterate('Customer', {limit: 2}), seen = []
+    var next = function() {
+      iterator.next().then(function(result) {
+        seen.push(result.value.Id)
+        if (seen.length < 3) return next()
+        return iterator.return().then(function() {
+          return iterator.next()
+        }).then(function(result) {
+          expect(result.done).toBe(true)
+          expect(seen).toEqual(['1', '2', '3'])
+          expect(queries.length).toBe(2)
+          done()
+        })
+      }).catch(done)
+    }
+    next()
+  })
+
+  it('should stream every entity', function(done) {
+    var ids = []
+    qbo.stream('Customer', [{field: 'limit', value: 4}]).on('data', function(customer) {
+      ids.push(customer.Id)
+    }).on('end', function() {
+      expect(ids.length).toBe(7)
+      expect(queries.length).toBe(2)
+      done()
+    })
+  })
+
+})
@@ -0,0 +1,237 @@
+var expect     = require('expect'),
+    fs         = require('fs'),
+    os         = require('os'),
+    path       = require('path'),
+    _          = require('underscore'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('Client Pool', function() {
+
+  var pool, store
+
+  // answers App Center reconnects with a new token, and accounting requests with the token they were signed with
+  var transport = {
+    send: function(req, callback) {
+      if (req.url.match(/\/connection\/reconnect$/)) {
+        return callback(null, {statusCode: 200, headers: {}, body: '<ReconnectResponse><ErrorMessage /><ErrorCode>0</ErrorCode>' +
+          '<OAuthToken>renewed-token</OAuthToken><OAuthTokenSecret>renewed-secret</OAuthTokenSecret></ReconnectResponse>'})
+      }
+      var token = req.headers.Authorization.match(/oauth_token="([^"]*)"/)[1]
+      callback(null, {statusCode: 200, headers: {}, body: JSON.stringify({Invoice: {Id: '42', PrivateNote: token}})})
+    }
+  }
+
+  beforeEach(function(done) {
+    store = new QuickBooks.MemoryStore()
+    pool  = new QuickBooks.ClientPool({consumerKey: 'key', consumerSecret: 'secret', store: store,
+                                       quickbooks: {transport: transport, retry: false}})
+    pool.set('1234', {token: 'token-1234', tokenSecret: 'secret-1234', createdAt: '2026-01-01T00:00:00.000Z'}, done)
+  })
+
+  it('should create one client per realm from the stored credentials', function(done) {
+    pool.get('1234', function(err, client) {
+      expect(err).toBe(null)
+      expect(client).toBeA(QuickBooks)
+      expect(client.realmId).toBe('1234')
+      expect(client.token).toBe('token-1234')
+      expect(client.consumerKey).toBe('key')
+      expect(client.tokenExpiresAt).toEqual(new Date('2026-06-30T00:00:00.000Z'))
+      pool.get('1234', function(err, again) {
+        expect(again).toBe(client)
+        expect(pool.cached()).toEqual([client])
+        done()
+      })
+    })
+  })
+
+  it('should share one store read between concurrent first uses', function(done) {
+    var reads = 0, get = store.get, clients = []
+    store.get = function() {
+      reads++
+      get.apply(this, arguments)
+    }
+    _.times(3, function() {
+      pool.get('1234', function(err, client) {
+        clients.push(client)
+        if (clients.length < 3) return
+        expect(reads).toBe(1)
+        expect(_.uniq(clients).length).toBe(1)
+        done()
+      })
+    })
+  })
+
+  it('should share the rate limit queue of the realm', function(done) {
+    pool.get('1234', function(err, pooled) {
+      var other = client({rateLimit: {}, transport: transport})
+      other.getInvoice('42', function(err) {
+        expect(err).toBe(null)
+        expect(pooled.rateLimitStats().completed).toBe(other.rateLimitStats().completed)
+        expect(QuickBooks.Scheduler.forRealm('1234').stats().completed).toBe(pooled.rateLimitStats().completed)
+        done()
+      })
+    })
+  })
+
+  it('should fail for realms without credentials', function(done) {
+    pool.get('5678', function(err, client) {
+      expect(err).toBeA(QuickBooks.QuickBooksError)
+      expect(err.code).toBe('not_connected')
+      expect(client).toBe(undefined)
+      done()
+    })
+  })
+
+  it('should not fill missing credentials from the environment', function(done) {
+    var saved = process.env.QBO_TOKEN_SECRET
+    process.env.QBO_TOKEN_SECRET = 'secret-of-another-company'
+    store.set('credentials:5678', {token: 'token-5678', realmId: '5678'}, function() {
+      pool.get('5678', function(err, client) {
+        if (_.isUndefined(saved)) delete process.env.QBO_TOKEN_SECRET
+        else process.env.QBO_TOKEN_SECRET = saved
+        expect(err).toBeA(TypeError)
+        expect(err.message).toBe('Invalid QuickBooks options: tokenSecret is required (or set QBO_TOKEN_SECRET)')
+        expect(client).toBe(undefined)
+        expect(pool.cached()).toEqual([])
+        done()
+      })
+    })
+  })
+
+  it('should call back with the error of invalid client options', function(done) {
+    var invalid = new QuickBooks.ClientPool({consumerKey: 'key', consumerSecret: 'secret', store: store,
+                                             quickbooks: {useSandbox: 'yes'}})
+    invalid.get('1234', function(err, client) {
+      expect(err.message).toBe('Invalid QuickBooks options: useSandbox must be true or false')
+      expect(client).toBe(undefined)
+      done()
+    })
+  })
+
+  it('should switch cached clients to credentials set later', function(done) {
+    pool.get('1234', function(err, client) {
+      pool.set('1234', {token: 'token-2', tokenSecret: 'secret-2'}, function(err) {
+        expect(err).toBe(null)
+        client.getInvoice('42', function(err, invoice) {
+          expect(invoice.PrivateNote).toBe('token-2')
+          expect(client.tokenExpiresAt).toBe(undefined)
+          done()
+        })
+      })
+    })
+  })
+
+  it('should save renewed credentials', function(done) {
+    pool.on('tokenRenewed', function(realmId, credentials) {
+      expect(realmId).toBe('1234')
+      expect(credentials.token).toBe('renewed-token')
+      store.get('credentials:1234', function(err, stored) {
+        expect(stored.token).toBe('renewed-token')
+        expect(stored.tokenSecret).toBe('renewed-secret')
+        expect(new Date(stored.expiresAt).getTime() - new Date(stored.createdAt).getTime()).toBe(QuickBooks.ACCESS_TOKEN_LIFETIME)
+        pool.get('1234', function(err, client) {
+          client.getInvoice('42', function(err, invoice) {
+            expect(invoice.PrivateNote).toBe('renewed-token')
+            done()
+          })
+        })
+      })
+    })
+    pool.get('1234', function(err, client) {
+      client.reconnect(function(err) {
+        if (err) done(err)
+      })
+    })
+  })
+
+  it('should forget deleted realms', function(done) {
+    pool.get('1234', function() {
+      pool.delete('1234', function(err) {
+        expect(err).toBe(null)
+        expect(pool.cached()).toEqual([])
+        pool.get('1234', function(err) {
+          expect(err.code).toBe('not_connected')
+          done()
+        })
+      })
+    })
+  })
+
+  it('should require consumer credentials and tokens', function() {
+    expect(function() {
+      new QuickBooks.ClientPool({consumerKey: 'key'})
+    }).toThrow(/consumerKey and a consumerSecret/)
+    expect(function() {
+      pool.set('1234', {token: 'token'}, function() {})
+    }).toThrow(/token and a tokenSecret/)
+  })
+
+  describe('FileStore and EncryptedFileStore', function() {
+
+    var file = path.join(os.tmpdir(), 'qbo-credentials-' + process.pid + '.json')
+
+    afterEach(function() {
+      if (fs.existsSync(file)) fs.unlinkSync(file)
+    })
+
+    it('should keep values encrypted in an owner-only file', function(done) {
+      var encrypted = new QuickBooks.EncryptedFileStore(file, 'passphrase')
+      encrypted.set('credentials:1234', {token: 'token-1234', tokenSecret: 'secret-1234'}, function(err) {
+        expect(err).toBe(null)
+        var text = fs.readFileSync(file, 'utf8')
+        expect(text.indexOf('token-1234')).toBe(-1)
+        expect(JSON.parse(text).algorithm).toBe('aes-256-gcm')
+        expect(fs.statSync(file).mode & parseInt('777', 8)).toBe(parseInt('600', 8))
+        new QuickBooks.EncryptedFileStore(file, 'passphrase').get('credentials:1234', function(err, value) {
+          expect(err).toBe(null)
+          expect(value).toEqual({token: 'token-1234', tokenSecret: 'secret-1234'})
+          done()
+        })
+      })
+    })
+
+    it('should refuse to read the file with another key', function(done) {
+      new QuickBooks.EncryptedFileStore(file, 'passphrase').set('a', 1, function(err) {
+        expect(err).toBe(null)
+        new QuickBooks.EncryptedFileStore(file, 'other').get('a', function(err, value) {
+          expect(err.message).toMatch(/wrong key or corrupted file/)
+          expect(value).toBe(undefined)
+          done()
+        })
+      })
+    })
+
+    it('should not lose writes of two stores of the same file', function(done) {
+      var first = new QuickBooks.FileStore(file), second = new QuickBooks.FileStore(file), errors = []
+      _.times(5, function(i) {
+        ;[first, second].forEach(function(store) {
+          store.set('key' + i, i, function(err) {
+            errors.push(err)
+            if (errors.length < 10) return
+            expect(_.compact(errors)).toEqual([])
+            expect(fs.readdirSync(path.dirname(file)).filter(function(name) {
+              return name.indexOf(path.basename(file) + '.') === 0
+            })).toEqual([])
+            done()
+          })
+        })
+      })
+    })
+
+    it('should take a 32 byte key', function(done) {
+      var key = Buffer.alloc(32, 7)
+      var encrypted = new QuickBooks.EncryptedFileStore(file, key)
+      encrypted.set('a', {b: 1}, function() {
+        encrypted.get('a', function(err, value) {
+          expect(value).toEqual({b: 1})
+          expect(function() { new QuickBooks.EncryptedFileStore(file, key.slice(0, 16)) }).toThrow(/32 byte key/)
+          done()
+        })
+      })
+    })
+
+  })
+
+})
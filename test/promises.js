@@ -0,0 +1,56 @@
+var expect     = require('expect'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('Promises', function() {
+
+  var responses
+
+  var qbo = client({realmId: 'promise-test', transport: {
+    send: function(req, callback) {
+      var response = responses.shift()
+      setImmediate(function() {
+        callback(null, {statusCode: response.status, headers: {}, body: response.body})
+      })
+    }
+  }})
+
+  beforeEach(function() {
+    responses = []
+  })
+
+  it('should resolve with the value passed to the callback', function(done) {
+    responses.push({status: 200, body: {QueryResponse: {Account: [{Id: '7', AccountType: 'Expense'}]}}},
+                   {status: 200, body: {Account: {Id: '7', AccountType: 'Expense'}}})
+    qbo.findAccounts({AccountType: 'Expense'}).then(function(accounts) {
+      expect(accounts.QueryResponse.Account.length).toBe(1)
+      return qbo.getAccount(accounts.QueryResponse.Account[0].Id)
+    }).then(function(account) {
+      expect(account.AccountType).toBe('Expense')
+      done()
+    }).catch(done)
+  })
+
+  it('should reject with the error of a Fault', function(done) {
+    responses.push({status: 400, body: {Fault: {type: 'ValidationFault', Error: [{Message: 'Object Not Found', code: '610'}]}}})
+    qbo.deleteAttachable('42').then(function() {
+      done(new Error('should have been rejected'))
+    }, function(err) {
+      expect(err).toBeA(QuickBooks.NotFound)
+      expect(err.code).toBe('610')
+      done()
+    }).catch(done)
+  })
+
+  it('should not return a Promise when a callback is passed', function(done) {
+    responses.push({status: 200, body: {Account: {Id: '7'}}})
+    var result = qbo.getAccount('7', function(err, account) {
+      expect(err).toBe(null)
+      expect(account.Id).toBe('7')
+      done()
+    })
+    expect(result).toBe(undefined)
+  })
+
+})
@@ -0,0 +1,144 @@
+var expect     = require('expect'),
+    moment     = require('moment'),
+    client     = require('./support/client');
+
+var urls = [], responseBody = {}
+
+var qbo = client({realmId: 'query-test', transport: {
+  send: function(req, callback) {
+    urls.push(req.url)
+    callback(null, {statusCode: 200, headers: {}, body: responseBody})
+  }
+}})
+
+
+describe('Query Builder', function() {
+
+  it('should compile projections, typed values, IN lists and multiple orderby', function() {
+    var sql = qbo.query('Invoice')
+                 .select('Id', 'TotalAmt')
+                 .where('Balance', '>', 0)
+                 .where('EmailStatus', 'NeedToSend')
+                 .in('CustomerRef', ['1', '2'])
+                 .orderBy('TxnDate', 'desc')
+                 .orderBy('DocNumber')
+                 .limit(100)
+                 .toString()
+    expect(sql).toBe("select Id, TotalAmt from Invoice where Balance > 0 and EmailStatus = 'NeedToSend' " +
+                     "and CustomerRef IN ('1', '2') orderby TxnDate desc, DocNumber asc maxresults 100")
+  })
+
+  it('should compile counts and pagination', function() {
+    expect(qbo.query('Bill').count().toString()).toBe('select count(*) from Bill')
+    expect(qbo.query('Bill').offset(11).limit(10).toString()).toBe('select * from Bill startposition 11 maxresults 10')
+  })
+
+  it('should reject unsupported operators', function() {
+    expect(function() { qbo.query('Bill').where('Id', 'BETWEEN', 1) }).toThrow(/Unsupported query operator/)
+    expect(function() { qbo.query('Bill').where('Id', '!=', 1) }).toThrow(/Unsupported query operator: !=/)
+    expect(function() { qbo.query('Bill').where(function() {}) }).toThrow(/no or conditions or groups/)
+  })
+
+  it('should serialize as the statement inside batch items', function() {
+    var json = JSON.stringify({BatchItemRequest: [{bId: '1', Query: qbo.query('Item').where('Type', 'Service')}]})
+    expect(JSON.parse(json).BatchItemRequest[0].Query).toBe("select * from Item where Type = 'Service'")
+  })
+
+  describe('execution', function() {
+
+    beforeEach(function() {
+      urls = []
+      responseBody = {QueryResponse: {Invoice: [{Id: '1'}]}}
+    })
+
+    it('should run the query with exec', function(done) {
+      qbo.query('Invoice').select('Id').where('Balance', '>', 0).exec().then(function(data) {
+        expect(data.QueryResponse.Invoice.length).toBe(1)
+        expect(decodeURIComponent(urls[0].split('query=')[1])).toBe("select Id from Invoice where Balance > 0")
+        done()
+      }).catch(done)
+    })
+
+    it('should be accepted as the criteria of find functions', function(done) {
+      qbo.findInvoices(qbo.query('Invoice').where('Balance', '>', 0), function(err, data) {
+        expect(err).toBe(null)
+        expect(decodeURIComponent(urls[0].split('query=')[1])).toBe("select * from Invoice where Balance > 0")
+        done()
+      })
+    })
+
+    it('should reject the query of another entity as the criteria of find functions', function(done) {
+      expect(function() {
+        qbo.findCustomers(qbo.query('Vendor'), function() {})
+      }).toThrow(/A query of Vendor cannot be run as a query of Customer/)
+      expect(function() {
+        qbo.iterate('Customer', qbo.query('Vendor'))
+      }).toThrow(/A query of Vendor cannot be run as a query of Customer/)
+      qbo.findCustomers(qbo.query('Vendor')).then(function() {
+        done(new Error('should have been rejected'))
+      }, function(err) {
+        expect(err.message).toBe('A query of Vendor cannot be run as a query of Customer')
+        expect(urls.length).toBe(0)
+        done()
+      }).catch(done)
+    })
+
+  })
+
+  describe('serialization', function() {
+
+    beforeEach(function() {
+      urls = []
+      responseBody = {QueryResponse: {}}
+    })
+
+    function statement() {
+      var encoded = urls[urls.length - 1].split('?query=')[1]
+      expect(/[ '=<>&#\\(),*]/.test(encoded)).toBe(false)
+      return decodeURIComponent(encoded)
+    }
+
+    it('should encode every comparison operator', function() {
+      qbo.findTimeActivities([
+        {field: 'TxnDate', value: '2014-12-01', operator: '>'},
+        {field: 'TxnDate', value: '2014-12-03', operator: '<'},
+        {field: 'Hours', value: '8', operator: '>='}
+      ], function() {})
+      expect(statement()).toBe("select * from timeActivity where TxnDate > '2014-12-01' and TxnDate < '2014-12-03' and Hours >= '8'")
+    })
+
+    it('should encode percent signs, ampersands and hashes', function() {
+      qbo.findCustomers([{field: 'DisplayName', value: '100% A&B #1', operator: 'LIKE'}], function() {})
+      expect(urls[0]).toMatch(/100%25%20A%26B%20%231/)
+      expect(statement()).toBe("select * from customer where DisplayName LIKE '100% A&B #1'")
+    })
+
+    it('should escape apostrophes and backslashes in string literals', function() {
+      qbo.findCustomers({FamilyName: "O'Brien"}, function() {})
+      expect(statement()).toBe("select * from customer where FamilyName = 'O\\'Brien'")
+      qbo.findCustomers({Notes: 'C:\\temp'}, function() {})
+      expect(statement()).toBe("select * from customer where Notes = 'C:\\\\temp'")
+    })
+
+    it('should format Dates and IN lists', function() {
+      var since = new Date(2015, 0, 2, 3, 4, 5)
+      qbo.findInvoices([
+        {field: 'MetaData.LastUpdatedTime', value: since, operator: '>'},
+        {field: 'Id', value: ['1', 2], operator: 'IN'}
+      ], function() {})
+      expect(statement()).toBe("select * from invoice where MetaData.LastUpdatedTime > '" + moment(since).format() +
+                               "' and Id IN ('1', 2)")
+    })
+
+    it('should count without mutating the criteria', function() {
+      var criteria = {count: true, Active: true}
+      qbo.findCustomers(criteria, function() {})
+      expect(statement()).toBe("select count(*) from customer where Active = 'true'")
+      expect(criteria.count).toBe(true)
+      qbo.findCustomers([{field: 'count', value: true}], function() {})
+      expect(statement()).toBe("select count(*) from customer")
+    })
+
+  })
+
+})
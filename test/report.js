@@ -0,0 +1,92 @@
+var expect     = require('expect'),
+    QuickBooks = require('../index'),
+    Report     = QuickBooks.Report;
+
+
+describe('Report Parser', function() {
+
+  var profitAndLoss = {
+    Header: {ReportName: 'ProfitAndLoss', StartPeriod: '2015-01-01', EndPeriod: '2015-06-30', Currency: 'USD'},
+    Columns: {
+      Column: [
+        {ColTitle: '', ColType: 'Account', MetaData: [{Name: 'ColKey', Value: 'account'}]},
+        {ColTitle: 'Total', ColType: 'Money', MetaData: [{Name: 'ColKey', Value: 'total'}]}
+      ]
+    },
+    Rows: {
+      Row: [{
+        type: 'Section',
+        group: 'Income',
+        Header: {ColData: [{value: 'Income'}, {value: ''}]},
+        Rows: {
+          Row: [{
+            type: 'Section',
+            Header: {ColData: [{value: 'Sales', id: '79'}, {value: ''}]},
+            Rows: {
+              Row: [
+                {type: 'Data', ColData: [{value: 'Services', id: '1'}, {value: '1,250.50'}]},
+                {type: 'Data', ColData: [{value: 'Hardware', id: '2'}, {value: '300.00'}]}
+              ]
+            },
+            Summary: {ColData: [{value: 'Total Sales'}, {value: '1550.50'}]}
+          }, {
+            type: 'Data', ColData: [{value: 'Interest', id: '5'}, {value: '-4.25'}]
+          }]
+        },
+        Summary: {ColData: [{value: 'Total Income'}, {value: '1546.25'}]}
+      }, {
+        type: 'Section',
+        group: 'NetIncome',
+        Summary: {ColData: [{value: 'Net Income'}, {value: '1546.25'}]}
+      }]
+    }
+  }
+
+  it('should describe the columns with types', function() {
+    expect(Report.columns(profitAndLoss)).toEqual([
+      {key: 'account', title: '', colType: 'Account', type: 'string'},
+      {key: 'total', title: 'Total', colType: 'Money', type: 'number'}
+    ])
+  })
+
+  it('should flatten rows with section paths, row types and numeric amounts', function() {
+    var table = Report.flatten(profitAndLoss)
+    expect(table.header.ReportName).toBe('ProfitAndLoss')
+    expect(table.rows.map(function(r) { return r.type + ':' + r.label })).toEqual([
+      'Header:Income', 'Header:Sales', 'Data:Services', 'Data:Hardware', 'Summary:Total Sales',
+      'Data:Interest', 'Summary:Total Income', 'Summary:Net Income'
+    ])
+    var services = table.rows[2]
+    expect(services.section).toBe('Income > Sales')
+    expect(services.path).toEqual(['Income', 'Sales'])
+    expect(services.depth).toBe(2)
+    expect(services.values).toEqual({account: 'Services', total: 1250.5})
+    expect(services.cells).toEqual(['Services', 1250.5])
+    expect(services.ids).toEqual({account: '1'})
+    expect(table.rows[0].values.total).toBe(null)
+    expect(table.rows[5].section).toBe('Income')
+    expect(table.rows[5].values.total).toBe(-4.25)
+    expect(table.totals).toEqual({Income: {account: 'Total Income', total: 1546.25}, NetIncome: {account: 'Net Income', total: 1546.25}})
+  })
+
+  it('should keep the hierarchy in the tree view', function() {
+    var tree = Report.tree(profitAndLoss)
+    expect(tree.rows.length).toBe(2)
+    var income = tree.rows[0]
+    expect(income.type).toBe('Section')
+    expect(income.title).toBe('Income')
+    expect(income.summary.values.total).toBe(1546.25)
+    expect(income.rows[0].title).toBe('Sales')
+    expect(income.rows[0].rows[1].values.total).toBe(300)
+    expect(income.rows[1].type).toBe('Data')
+    expect(tree.rows[1].title).toBe('NetIncome')
+    expect(tree.rows[1].header).toBe(null)
+  })
+
+  it('should handle reports without rows', function() {
+    var table = Report.flatten({Header: {ReportName: 'ProfitAndLoss'}, Columns: {Column: []}, Rows: {}})
+    expect(table.rows).toEqual([])
+    expect(table.totals).toEqual({})
+  })
+
+})
@@ -0,0 +1,118 @@
+var expect     = require('expect'),
+    _          = require('underscore'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('Retry', function() {
+
+  var responses, sent
+
+  var transport = {
+    send: function(req, callback) {
+      sent.push(req)
+      var r = responses.shift()
+      setImmediate(function() {
+        callback(r.err || null, r.res && _.extend({body: r.body}, r.res))
+      })
+    }
+  }
+
+  function qbo(retry) {
+    return client({useSandbox: true, retry: retry, transport: transport})
+  }
+
+  var throttled = {res: {statusCode: 429, headers: {}}, body: {Fault: {type: 'ThrottleExceeded', Error: [{code: '3001'}]}}},
+      ok        = {res: {statusCode: 200, headers: {}}, body: {Invoice: {Id: '42'}}}
+
+  beforeEach(function() {
+    responses = []
+    sent = []
+  })
+
+  it('should retry throttled reads until they succeed', function(done) {
+    responses.push(throttled, {err: {code: 'ECONNRESET'}}, ok)
+    qbo({minDelay: 1}).getInvoice('42', function(err, invoice) {
+      expect(err).toBe(null)
+      expect(invoice.Id).toBe('42')
+      expect(sent.length).toBe(3)
+      done()
+    })
+  })
+
+  it('should give up after the configured number of retries', function(done) {
+    responses.push(throttled, throttled, throttled)
+    qbo({retries: 2, minDelay: 1}).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.ThrottleError)
+      expect(sent.length).toBe(3)
+      done()
+    })
+  })
+
+  it('should not retry validation faults', function(done) {
+    responses.push({res: {statusCode: 400, headers: {}}, body: {Fault: {type: 'ValidationFault', Error: [{code: '2020'}]}}})
+    qbo({minDelay: 1}).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.ValidationFault)
+      expect(sent.length).toBe(1)
+      done()
+    })
+  })
+
+  it('should only retry creates when writes are enabled', function(done) {
+    responses.push(throttled)
+    qbo({minDelay: 1}).createInvoice({}, function(err) {
+      expect(err).toBeA(QuickBooks.ThrottleError)
+      expect(sent.length).toBe(1)
+      responses.push(throttled, ok)
+      qbo({minDelay: 1, writes: true}).createInvoice({}, function(err, invoice) {
+        expect(err).toBe(null)
+        expect(invoice.Id).toBe('42')
+        expect(sent.length).toBe(3)
+        done()
+      })
+    })
+  })
+
+  it('should reuse the Request-Id when retrying Payments calls', function(done) {
+    responses.push({res: {statusCode: 503, headers: {}}, body: ''}, {res: {statusCode: 201, headers: {}}, body: {id: 'ch_1'}})
+    qbo({minDelay: 1}).charge({amount: '42.21'}, function(err, charge) {
+      expect(err).toBe(null)
+      expect(charge.id).toBe('ch_1')
+      expect(sent.length).toBe(2)
+      expect(sent[0].headers['Request-Id'].length).toBeGreaterThan(0)
+      expect(sent[1].headers['Request-Id']).toBe(sent[0].headers['Request-Id'])
+      done()
+    })
+  })
+
+  it('should honour the Retry-After header', function(done) {
+    var started = Date.now()
+    responses.push({res: {statusCode: 429, headers: {'retry-after': '1'}}, body: ''}, ok)
+    qbo({minDelay: 1}).getInvoice('42', function(err) {
+      expect(err).toBe(null)
+      expect(Date.now() - started).toBeGreaterThan(900)
+      done()
+    })
+  })
+
+  it('should fail rather than wait longer than maxDelay for a Retry-After', function(done) {
+    var started = Date.now()
+    responses.push({res: {statusCode: 429, headers: {'retry-after': '3600'}}, body: ''}, ok)
+    qbo({minDelay: 1, maxDelay: 1000}).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.ThrottleError)
+      expect(sent.length).toBe(1)
+      expect(Date.now() - started).toBeLessThan(500)
+      done()
+    })
+  })
+
+  it('should not retry when disabled', function(done) {
+    responses.push(throttled)
+    qbo(false).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.ThrottleError)
+      expect(sent.length).toBe(1)
+      done()
+    })
+  })
+
+})
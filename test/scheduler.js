@@ -0,0 +1,98 @@
+var expect     = require('expect'),
+    client     = require('./support/client'),
+    Scheduler  = require('../lib/scheduler');
+
+
+describe('Scheduler', function() {
+
+  it('should limit the number of tasks in flight', function(done) {
+    var scheduler = new Scheduler({maxConcurrent: 2}),
+        pending = []
+    for (var i = 0; i < 5; i++) {
+      scheduler.schedule(function(finished) { pending.push(finished) })
+    }
+    expect(pending.length).toBe(2)
+    expect(scheduler.stats().queued).toBe(3)
+    expect(scheduler.stats().inFlight).toBe(2)
+    pending.shift()()
+    expect(pending.length).toBe(2)
+    expect(scheduler.stats().queued).toBe(2)
+    expect(scheduler.stats().completed).toBe(1)
+    done()
+  })
+
+  it('should limit the number of tasks started per minute', function() {
+    var scheduler = new Scheduler({requestsPerMinute: 3}),
+        started = 0
+    for (var i = 0; i < 5; i++) {
+      scheduler.schedule(function(finished) {
+        started++
+        finished()
+      })
+    }
+    expect(started).toBe(3)
+    expect(scheduler.stats().queued).toBe(2)
+    expect(scheduler.stats().lastMinute).toBe(3)
+    expect(scheduler.timer.hasRef()).toBe(false)
+  })
+
+  it('should start queued tasks when the window frees up while waiting to be dropped', function(done) {
+    var scheduler = Scheduler.forRealm('window-test', {requestsPerMinute: 2})
+    // two earlier starts, the first of which leaves the one minute window in 50ms, keep it from being dropped
+    scheduler.started = [Date.now() - 60 * 1000 + 50, Date.now() - 1000]
+    setTimeout(function() {
+      scheduler.schedule(function(finished) {
+        finished()
+        done()
+      })
+      expect(scheduler.stats().queued).toBe(1)
+    }, 5)
+  })
+
+  it('should drop the Scheduler of a realm once it has nothing to run', function(done) {
+    var scheduler = Scheduler.forRealm('idle-test', {maxConcurrent: 2})
+    scheduler.schedule(function(finished) { finished() })
+    setTimeout(function() {
+      // the task started within the last minute
+      expect(Scheduler.forRealm('idle-test')).toBe(scheduler)
+      var unused = Scheduler.forRealm('unused-test')
+      setTimeout(function() {
+        var again = Scheduler.forRealm('unused-test', null, {maxConcurrent: 3})
+        expect(again).toNotBe(unused)
+        expect(again.maxConcurrent).toBe(3)
+        expect(Scheduler.forRealm('unused-test', null, {maxConcurrent: 4}).maxConcurrent).toBe(3)
+        done()
+      }, 5)
+    }, 5)
+  })
+
+  it('should keep limits that are not overridden when reconfigured', function() {
+    var scheduler = new Scheduler({maxConcurrent: 2})
+    scheduler.configure({requestsPerMinute: 100})
+    expect(scheduler.maxConcurrent).toBe(2)
+    expect(scheduler.requestsPerMinute).toBe(100)
+  })
+
+  it('should share one queue between QuickBooks instances of the same realm', function(done) {
+    var pending = []
+    var transport = {
+      send: function(req, callback) {
+        pending.push(function() { callback(null, {statusCode: 200, headers: {}, body: {Attachable: {}}}) })
+      }
+    }
+    var config = {realmId: 'scheduler-test', rateLimit: {maxConcurrent: 1}, transport: transport},
+        first  = client(config),
+        second = client(config)
+    first.createAttachable({})
+    second.createAttachable({}).then(function() {
+      expect(second.rateLimitStats().completed).toBe(2)
+      done()
+    })
+    expect(pending.length).toBe(1)
+    expect(first.rateLimitStats().queued).toBe(1)
+    pending.shift()()
+    expect(pending.length).toBe(1)
+    pending.shift()()
+  })
+
+})
@@ -0,0 +1,20 @@
+/**
+ * @file QuickBooks instances for the offline test suites
+ */
+
+var _          = require('underscore'),
+    QuickBooks = require('../../index');
+
+/**
+ * Returns a QuickBooks instance with test credentials and without retries or rate limiting, usually sending its
+ * requests through a stub transport or to a local server.
+ *
+ * @param {object} options - (Optional) options overriding the defaults, e.g. realmId, transport or endpoint
+ * @returns {QuickBooks}
+ */
+module.exports = function client(options) {
+  return new QuickBooks(_.extend({
+    consumerKey: 'key', consumerSecret: 'secret', token: 'token', tokenSecret: 'tokenSecret',
+    realmId: '1234', rateLimit: false, retry: false
+  }, options))
+}
@@ -0,0 +1,18 @@
+/**
+ * @file Switch for the suites that talk to a live QuickBooks sandbox company
+ */
+
+var _        = require('underscore'),
+    config   = require('../../config'),
+    settings = require('../../lib/settings');
+
+// config.js, or the QBO_* environment variables, hold the credentials of a sandbox company
+var configured = _.every(settings.REQUIRED, function(name) {
+  return config[name] || process.env[settings.ENVIRONMENT[name]]
+})
+
+module.exports = {
+  configured: configured,
+  // describe for the sandbox suites, skipping them without credentials
+  describe:   configured ? describe : describe.skip
+}
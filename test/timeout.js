@@ -0,0 +1,138 @@
+var expect     = require('expect'),
+    http       = require('http'),
+    _          = require('underscore'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('Timeouts and Cancellation', function() {
+
+  var server, base, received, delay, trickle
+
+  function qbo(options) {
+    return client(_.extend({endpoint: base + '/v3/company/', retry: {minDelay: 1, retries: 1}}, options))
+  }
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      received.push(req.url)
+      if (trickle) {
+        // a byte of the response every 10ms, never idle for long
+        res.writeHead(200, {'Content-Type': 'application/json'})
+        var interval = setInterval(function() { res.write(' ') }, 10)
+        return res.on('close', function() { clearInterval(interval) })
+      }
+      var timer = setTimeout(function() {
+        res.writeHead(200, {'Content-Type': 'application/json'})
+        res.end(JSON.stringify({Invoice: {Id: '42'}}))
+      }, delay)
+      res.on('close', function() { clearTimeout(timer) })
+    })
+    server.listen(0, '127.0.0.1', function() {
+      base = 'http://127.0.0.1:' + server.address().port
+      done()
+    })
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    received = []
+    delay = 0
+    trickle = false
+  })
+
+  it('should fail slow attempts with a TimeoutError and retry them', function(done) {
+    delay = 500
+    qbo({timeout: 30}).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.TimeoutError)
+      expect(err).toBeA(QuickBooks.QuickBooksError)
+      expect(err.code).toBe('ESOCKETTIMEDOUT')
+      expect(received.length).toBe(2)
+      done()
+    })
+  })
+
+  it('should time out responses that keep trickling in', function(done) {
+    trickle = true
+    var started = Date.now()
+    qbo({timeout: 100, retry: false}).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.TimeoutError)
+      expect(Date.now() - started).toBeLessThan(1000)
+      done()
+    })
+  })
+
+  it('should not retry timeouts when they are excluded from retries', function(done) {
+    delay = 500
+    qbo({timeout: 30, retry: {minDelay: 1, timeouts: false}}).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.TimeoutError)
+      expect(received.length).toBe(1)
+      done()
+    })
+  })
+
+  it('should take a timeout per call', function(done) {
+    delay = 100
+    var client = qbo({timeout: 1000, retry: false})
+    client.withOptions({timeout: 30}).getInvoice('42', function(err) {
+      expect(err).toBeA(QuickBooks.TimeoutError)
+      client.getInvoice('42', function(err, invoice) {
+        expect(err).toBe(null)
+        expect(invoice.Id).toBe('42')
+        done()
+      })
+    })
+  })
+
+  it('should abort requests in flight', function(done) {
+    delay = 5000
+    var controller = new AbortController(), started = Date.now()
+    qbo().withOptions({signal: controller.signal}).getInvoicePdf('42', function(err, pdf) {
+      expect(err).toBeA(QuickBooks.AbortError)
+      expect(err.code).toBe('ABORT_ERR')
+      expect(pdf).toBe(undefined)
+      expect(Date.now() - started).toBeLessThan(1000)
+      expect(received).toEqual(['/v3/company/1234/invoice/42/pdf'])
+      done()
+    })
+    setTimeout(function() { controller.abort() }, 50)
+  })
+
+  it('should abort requests waiting to be retried', function(done) {
+    var attempts = 0, controller = new AbortController()
+    var client = qbo({retry: {minDelay: 10000}, transport: {
+      send: function(req, callback) {
+        attempts++
+        callback(null, {statusCode: 503, headers: {}, body: ''})
+        setTimeout(function() { controller.abort() }, 10)
+      }
+    }})
+    client.withOptions({signal: controller.signal}).findInvoices().then(function() {
+      done(new Error('should have been aborted'))
+    }, function(err) {
+      expect(err).toBeA(QuickBooks.AbortError)
+      expect(attempts).toBe(1)
+      done()
+    }).catch(done)
+  })
+
+  it('should not send requests that were aborted before they started', function(done) {
+    var controller = new AbortController()
+    controller.abort()
+    qbo({signal: controller.signal}).batch([{operation: 'create', Attachable: {Note: 'x'}}], function(err) {
+      expect(err).toBeA(QuickBooks.AbortError)
+      expect(received.length).toBe(0)
+      done()
+    })
+  })
+
+  it('should reject unsupported per-call options', function() {
+    expect(function() {
+      qbo().withOptions({retries: 2})
+    }).toThrow(/Unsupported per-call options: retries/)
+  })
+
+})
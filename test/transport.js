@@ -0,0 +1,130 @@
+var expect     = require('expect'),
+    http       = require('http'),
+    zlib       = require('zlib'),
+    oauth      = require('../lib/oauth'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client');
+
+
+describe('Transport', function() {
+
+  var server, base, received, handler,
+      transport = new QuickBooks.HttpTransport()
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      var chunks = []
+      req.on('data', function(chunk) { chunks.push(chunk) })
+      req.on('end', function() {
+        received.push({method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString()})
+        handler(req, res)
+      })
+    })
+    server.listen(0, '127.0.0.1', function() {
+      base = 'http://127.0.0.1:' + server.address().port
+      done()
+    })
+  })
+
+  after(function(done) {
+    server.close(done)
+  })
+
+  beforeEach(function() {
+    received = []
+    handler = function(req, res) {
+      res.writeHead(200, {'Content-Type': 'application/json'})
+      res.end(JSON.stringify({Invoice: {Id: '42'}}))
+    }
+  })
+
+  it('should send requests and return the status, headers and body', function(done) {
+    transport.send({method: 'POST', url: base + '/v3/company/1234/invoice?minorversion=4',
+                    headers: {'Content-Type': 'application/json'}, body: Buffer.from('{"Line":[]}')}, function(err, res) {
+      expect(err).toBe(null)
+      expect(res.statusCode).toBe(200)
+      expect(res.headers['content-type']).toBe('application/json')
+      expect(res.body).toBeA(Buffer)
+      expect(JSON.parse(res.body).Invoice.Id).toBe('42')
+      expect(received[0].method).toBe('POST')
+      expect(received[0].url).toBe('/v3/company/1234/invoice?minorversion=4')
+      expect(received[0].headers['content-length']).toBe('11')
+      expect(received[0].body).toBe('{"Line":[]}')
+      done()
+    })
+  })
+
+  it('should decompress gzip responses', function(done) {
+    handler = function(req, res) {
+      res.writeHead(200, {'Content-Encoding': 'gzip'})
+      res.end(zlib.gzipSync(JSON.stringify({QueryResponse: {}})))
+    }
+    transport.send({method: 'GET', url: base + '/query', headers: {}}, function(err, res) {
+      expect(err).toBe(null)
+      expect(received[0].headers['accept-encoding']).toBe('gzip, deflate')
+      expect(JSON.parse(res.body)).toEqual({QueryResponse: {}})
+      done()
+    })
+  })
+
+  it('should fail requests that take longer than the timeout', function(done) {
+    handler = function(req, res) {
+      setTimeout(function() { res.end('{}') }, 200)
+    }
+    transport.send({method: 'GET', url: base + '/slow', headers: {}, timeout: 20}, function(err, res) {
+      expect(err.code).toBe('ESOCKETTIMEDOUT')
+      expect(res).toBe(undefined)
+      done()
+    })
+  })
+
+  it('should send plain HTTP requests through the proxy', function(done) {
+    transport.send({method: 'GET', url: 'http://qbo.example.com/v3/company/1234/invoice/42', headers: {},
+                    proxy: 'http://user:secret@' + base.substring(7)}, function(err, res) {
+      expect(err).toBe(null)
+      expect(res.statusCode).toBe(200)
+      expect(received[0].url).toBe('http://qbo.example.com/v3/company/1234/invoice/42')
+      expect(received[0].headers['proxy-authorization']).toBe('Basic ' + Buffer.from('user:secret').toString('base64'))
+      done()
+    })
+  })
+
+  it('should send the requests of QuickBooks instances signed with OAuth', function(done) {
+    var qbo = client({endpoint: base + '/v3/company/'})
+    qbo.getInvoice('42', function(err, invoice) {
+      expect(err).toBe(null)
+      expect(invoice.Id).toBe('42')
+      expect(received[0].url).toBe('/v3/company/1234/invoice/42')
+      expect(received[0].headers.accept).toBe('application/json')
+      expect(received[0].headers.authorization).toMatch(/^OAuth oauth_consumer_key="key",oauth_nonce="\w+",oauth_signature="[^"]+",oauth_signature_method="HMAC-SHA1",oauth_timestamp="\d+",oauth_token="token",oauth_version="1.0"$/)
+      done()
+    })
+  })
+
+  it('should compute the OAuth signature of RFC 5849', function() {
+    var header = oauth.authorization('GET', 'http://photos.example.net/photos?file=vacation.jpg&size=original', {
+      consumerKey: 'dpf43f3p2l4k3l03', consumerSecret: 'kd94hf93k423kf44', token: 'nnch734d00sl2jdk', tokenSecret: 'pfkkdhi9sl3r4s00'
+    }, {oauth_nonce: 'kllo9940pd9333jh', oauth_timestamp: '1191242096'})
+    expect(header.indexOf('oauth_signature="tR3%2BTy81lMeYAr%2FFid0kMTYa%2FWM%3D"')).toNotBe(-1)
+  })
+
+  it('should accept any object implementing send as the transport', function(done) {
+    var requests = []
+    var qbo = client({transport: {
+      send: function(req, callback) {
+        requests.push(req)
+        callback(null, {statusCode: 200, headers: {}, body: Buffer.from('{"Customer":{"Id":"7"}}')})
+      }
+    }})
+    qbo.createCustomer({DisplayName: 'Acme'}, function(err, customer) {
+      expect(err).toBe(null)
+      expect(customer.Id).toBe('7')
+      expect(requests[0].method).toBe('POST')
+      expect(requests[0].url).toBe(QuickBooks.V3_ENDPOINT_PROD_URL + '1234/customer')
+      expect(requests[0].headers['Content-Type']).toBe('application/json')
+      expect(JSON.parse(requests[0].body)).toEqual({DisplayName: 'Acme'})
+      done()
+    })
+  })
+
+})
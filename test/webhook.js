@@ -0,0 +1,173 @@
+var expect     = require('expect'),
+    crypto     = require('crypto'),
+    http       = require('http'),
+    QuickBooks = require('../index'),
+    client     = require('./support/client'),
+    Webhook    = QuickBooks.Webhook;
+
+
+describe('Webhooks', function() {
+
+  var token = 'verifier-token',
+      payload = JSON.stringify({
+        eventNotifications: [{
+          realmId: '1185883450',
+          dataChangeEvent: {
+            entities: [
+              {name: 'Invoice', id: '130', operation: 'Update', lastUpdated: '2015-10-05T14:42:19-0700'},
+              {name: 'Customer', id: '9', operation: 'Delete', lastUpdated: '2015-10-05T14:42:19-0700'}
+            ]
+          }
+        }, {
+          realmId: '1185883451',
+          dataChangeEvent: {entities: [{name: 'Payment', id: '2', operation: 'Create', lastUpdated: '2015-10-05T14:42:19-0700'}]}
+        }]
+      })
+
+  function sign(body) {
+    return crypto.createHmac('sha256', token).update(body).digest('base64')
+  }
+
+  it('should verify the intuit-signature header', function() {
+    expect(Webhook.verifySignature(payload, sign(payload), token)).toBe(true)
+    expect(Webhook.verifySignature(Buffer.from(payload), sign(payload), token)).toBe(true)
+    expect(Webhook.verifySignature(payload + ' ', sign(payload), token)).toBe(false)
+    expect(Webhook.verifySignature(payload, sign(payload), 'other-token')).toBe(false)
+    expect(Webhook.verifySignature(payload, undefined, token)).toBe(false)
+  })
+
+  it('should group events by realmId', function() {
+    var byRealm = Webhook.parse(payload)
+    expect(Object.keys(byRealm)).toEqual(['1185883450', '1185883451'])
+    expect(byRealm['1185883450'].length).toBe(2)
+    expect(byRealm['1185883450'][0]).toEqual({name: 'Invoice', id: '130', operation: 'Update', lastUpdated: '2015-10-05T14:42:19-0700'})
+  })
+
+  it('should hydrate the other events when an entity cannot be fetched', function(done) {
+    var qbo = {
+      getInvoice: function(id, callback) { callback(new QuickBooks.NotFound('Object Not Found')) },
+      getPayment: function(id, callback) { callback(null, {Id: id, TotalAmt: 42}) }
+    }
+    var events = [{name: 'Invoice', id: '130', operation: 'Update'}, {name: 'Payment', id: '2', operation: 'Create'}]
+    Webhook.hydrate(qbo, events, function(err, hydrated) {
+      expect(err).toBe(null)
+      expect(hydrated[0].error).toBeA(QuickBooks.NotFound)
+      expect(hydrated[0].entity).toBe(undefined)
+      expect(hydrated[1].entity.TotalAmt).toBe(42)
+      done()
+    })
+  })
+
+  it('should log dispatch errors to the logger of the client without onError', function(done) {
+    var logged = [],
+        qbo    = {logger: {error: function(event) { logged.push(event) }}}
+    var handle = Webhook.handler({
+      verifierToken: token,
+      client: function(realmId) { return realmId === '1185883450' ? qbo : null },
+      onEvents: function() { throw new Error('onEvents failed') }
+    })
+    var res = {end: function() {}}
+    handle({rawBody: payload, headers: {'intuit-signature': sign(payload)}}, res)
+    setImmediate(function() {
+      expect(res.statusCode).toBe(200)
+      expect(logged.length).toBe(1)
+      expect(logged[0].realmId).toBe('1185883450')
+      expect(logged[0].error.message).toBe('onEvents failed')
+      done()
+    })
+  })
+
+  describe('handler', function() {
+
+    var server, port, received, failing, failures
+
+    var transport = {
+      send: function(req, callback) {
+        callback(null, {statusCode: 200, headers: {}, body: {Invoice: {Id: '130', TotalAmt: 42}}})
+      }
+    }
+
+    before(function(done) {
+      var qbo = client({realmId: '1185883450', transport: transport})
+      server = http.createServer(Webhook.handler({
+        verifierToken: token,
+        client: function(realmId) { return realmId === '1185883450' ? qbo : null },
+        onEvents: function(realmId, events) {
+          received.push({realmId: realmId, events: events})
+          if (failing) throw new Error('onEvents failed')
+        },
+        onError: function(err, realmId) { failures.push(realmId + ': ' + err.message) }
+      }))
+      server.listen(0, '127.0.0.1', function() {
+        port = server.address().port
+        done()
+      })
+    })
+
+    after(function(done) {
+      server.close(done)
+    })
+
+    beforeEach(function() {
+      received = []
+      failing  = false
+      failures = []
+    })
+
+    function post(body, signature, callback) {
+      var req = http.request({host: '127.0.0.1', port: port, method: 'POST', path: '/webhooks',
+                              headers: {'intuit-signature': signature, 'content-type': 'application/json'}}, function(res) {
+        res.resume()
+        res.on('end', function() { callback(res.statusCode) })
+      })
+      req.end(body)
+    }
+
+    it('should reject notifications with an invalid signature', function(done) {
+      post(payload, sign('tampered'), function(status) {
+        expect(status).toBe(401)
+        expect(received.length).toBe(0)
+        done()
+      })
+    })
+
+    it('should acknowledge, hydrate and dispatch verified notifications per realm', function(done) {
+      post(payload, sign(payload), function(status) {
+        expect(status).toBe(200)
+        setTimeout(function() {
+          expect(received.length).toBe(2)
+          var hydrated = received[0].realmId === '1185883450' ? received[0] : received[1],
+              plain    = received[0].realmId === '1185883450' ? received[1] : received[0]
+          expect(hydrated.events[0].entity.TotalAmt).toBe(42)
+          expect(hydrated.events[1].entity).toBe(undefined)
+          expect(plain.events[0].name).toBe('Payment')
+          expect(failures).toEqual([])
+          done()
+        }, 20)
+      })
+    })
+
+    it('should report errors thrown while dispatching to onError', function(done) {
+      failing = true
+      post(payload, sign(payload), function(status) {
+        expect(status).toBe(200)
+        setTimeout(function() {
+          expect(received.length).toBe(2)
+          expect(failures.sort()).toEqual(['1185883450: onEvents failed', '1185883451: onEvents failed'])
+          done()
+        }, 20)
+      })
+    })
+
+    it('should require an onEvents function', function() {
+      expect(function() {
+        Webhook.handler({verifierToken: token})
+      }).toThrow(/onEvents option of the webhook handler must be a function/)
+      expect(function() {
+        Webhook.handler({verifierToken: token, onEvents: function() {}, client: {}})
+      }).toThrow(/client option/)
+    })
+
+  })
+
+})